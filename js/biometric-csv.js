@@ -0,0 +1,114 @@
+/**
+ * Biometric CSV
+ * DOM-free CSV reading shared by the browser import in script.js and the Node tools in scripts/.
+ */
+
+class BiometricCSV {
+    // Header names that identify each biometric column
+    static columnHints = {
+        heartRate: /heart|pulse|bpm|\bhr\b/i,
+        sleepHours: /sleep/i,
+        steps: /step/i,
+        mood: /mood/i,
+        stress: /stress/i,
+        energy: /energy/i
+    };
+    
+    static parse(text) {
+        text = text.replace(/^\uFEFF/, '');
+        
+        // Pick whichever delimiter splits the header line into the most columns
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+            firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+        
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        
+        return {
+            delimiter,
+            rows: rows.filter(cells => cells.some(cell => cell.trim() !== ''))
+        };
+    }
+    
+    static parseNumber(cell, delimiter) {
+        const value = String(cell ?? '').replace(/\s/g, '');
+        if (value === '') return null;
+        
+        // With both marks the last one is the decimal ("1,234.5" / "1.234,5"). A lone comma is a
+        // decimal in semicolon files or unless it groups thousands ("8,000"); a lone dot only
+        // groups thousands when it repeats ("1.234.567")
+        const lastComma = value.lastIndexOf(',');
+        const lastDot = value.lastIndexOf('.');
+        let decimalComma;
+        if (lastComma >= 0 && lastDot >= 0) {
+            decimalComma = lastComma > lastDot;
+        } else if (lastComma >= 0) {
+            decimalComma = delimiter === ';' || !/^[-+]?\d{1,3}(,\d{3})+$/.test(value);
+        } else {
+            decimalComma = /^[-+]?\d{1,3}(\.\d{3}){2,}$/.test(value);
+        }
+        
+        return Number(decimalComma
+            ? value.replace(/\./g, '').replace(',', '.')
+            : value.replace(/,/g, ''));
+    }
+    
+    static matchColumns(headers) {
+        // { heartRate: 2, steps: 5, ... } for the columns that were found
+        const columns = {};
+        for (const [key, hint] of Object.entries(this.columnHints)) {
+            const index = headers.findIndex((header, i) => hint.test(header) && !Object.values(columns).includes(i));
+            if (index >= 0) columns[key] = index;
+        }
+        return columns;
+    }
+    
+    static readSample(cells, columns, delimiter) {
+        const sample = {};
+        for (const [key, index] of Object.entries(columns)) {
+            const value = this.parseNumber(cells[index], delimiter);
+            if (Number.isFinite(value)) sample[key] = value;
+        }
+        return sample;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BiometricCSV;
+}
@@ -0,0 +1,1083 @@
+/**
+ * Mandala Core
+ * DOM-free mandala generation: biometrics in, Paper.js items (or SVG) out.
+ * Shared by the browser app in script.js and by Node tools running on paper-jsdom.
+ */
+
+class MandalaCore {
+    constructor(paperScope = globalThis.paper) {
+        this.paper = paperScope;
+        
+        // Valid input ranges; mirrors the sliders in index.html
+        this.biometricRanges = {
+            heartRate: { min: 40, max: 200, step: 1 },
+            sleepHours: { min: 3, max: 12, step: 0.5 },
+            steps: { min: 0, max: 25000, step: 500 },
+            mood: { min: 1, max: 10, step: 1 },
+            stress: { min: 1, max: 10, step: 1 },
+            energy: { min: 1, max: 10, step: 1 }
+        };
+        
+        // Human-readable metric names for dialogs and reports
+        this.biometricLabels = {
+            heartRate: 'Heart rate (BPM)',
+            sleepHours: 'Sleep (hours)',
+            steps: 'Steps',
+            mood: 'Mood (1–10)',
+            stress: 'Stress (1–10)',
+            energy: 'Energy (1–10)'
+        };
+        
+        // Enhanced color palettes with emotional mapping
+        this.colorPalettes = {
+            1: { 
+                name: 'Deep Melancholy',
+                colors: ['#8B0000', '#4B0000', '#2F1B14'],
+                emotion: 'distressed'
+            },
+            2: { 
+                name: 'Gentle Sadness',
+                colors: ['#CD5C5C', '#8B4513', '#A0522D'],
+                emotion: 'sad'
+            },
+            3: { 
+                name: 'Restless Energy',
+                colors: ['#FF6347', '#FF4500', '#DA70D6'],
+                emotion: 'restless'
+            },
+            4: { 
+                name: 'Seeking Balance',
+                colors: ['#FFD700', '#FF8C00', '#FFA500'],
+                emotion: 'searching'
+            },
+            5: { 
+                name: 'Neutral Harmony',
+                colors: ['#F0E68C', '#BDB76B', '#9ACD32'],
+                emotion: 'neutral'
+            },
+            6: { 
+                name: 'Gentle Optimism',
+                colors: ['#98FB98', '#90EE90', '#00FA9A'],
+                emotion: 'hopeful'
+            },
+            7: { 
+                name: 'Vibrant Joy',
+                colors: ['#00CED1', '#20B2AA', '#48D1CC'],
+                emotion: 'happy'
+            },
+            8: { 
+                name: 'Radiant Bliss',
+                colors: ['#87CEEB', '#87CEFA', '#00BFFF'],
+                emotion: 'joyful'
+            },
+            9: { 
+                name: 'Ethereal Ecstasy',
+                colors: ['#9370DB', '#8A2BE2', '#9932CC'],
+                emotion: 'ecstatic'
+            },
+            10: { 
+                name: 'Divine Unity',
+                colors: ['#E6E6FA', '#DDA0DD', '#DA70D6'],
+                emotion: 'transcendent'
+            }
+        };
+        
+        // Built-ins stay available so a custom palette can be deleted back to them
+        this.defaultPalettes = structuredClone(this.colorPalettes);
+        this.paletteCache = new Map();
+        
+        // Pattern templates based on complexity and stress
+        this.patternTemplates = {
+            calm: ['circle', 'lotus', 'spiral'],
+            moderate: ['triangle', 'diamond', 'star'],
+            intense: ['spike', 'fractal', 'lightning']
+        };
+        
+        // Element generators by name; extensions add their own with registerPatternStyle
+        this.patternStyles = new Map();
+        this.registerBuiltInPatternStyles();
+        
+        // Symmetry applied to every layer. order null keeps the classic rings, whose element
+        // count follows heart rate; driver maps a biometric onto the 3-32 fold range instead
+        this.defaultSymmetry = {
+            order: null,
+            mirror: false,
+            offset: 0,
+            twist: 0,
+            driver: null
+        };
+        this.symmetryRange = { min: 3, max: 32 };
+        
+        // Mirrors the body gradient in styles.css for exports and recordings
+        this.backgroundGradient = [['#0c0c0c', 0], ['#1a1a2e', 0.5], ['#16213e', 1]];
+        
+        // Wellness scoring model; weights are relative and normalized when scoring.
+        // With no age set, heart rate is scored by distance from the resting target alone
+        this.defaultWellnessModel = {
+            weights: { heartRate: 15, sleepHours: 25, steps: 15, mood: 25, energy: 10, stress: 10 },
+            age: null,
+            restingHeartRate: 70,
+            sleepGoal: 9,
+            stepGoal: 10000
+        };
+    }
+    
+    normalizeBiometrics(values, base = {}) {
+        // Clamps and rounds like the sliders; keys missing from values come from base
+        const biometrics = { ...base };
+        for (const [key, { min, max, step }] of Object.entries(this.biometricRanges)) {
+            const value = Number(values?.[key]);
+            if (!Number.isFinite(value)) continue;
+            const clamped = Math.max(min, Math.min(max, value));
+            biometrics[key] = step === 1 ? Math.round(clamped) : Math.round(clamped * 100) / 100;
+        }
+        return biometrics;
+    }
+    
+    render(biometrics, size, options = {}) {
+        const { scale = 1, includeBackground = true, includeEffects = true } = options;
+        const { width, height } = size;
+        const paper = this.paper;
+        
+        // Creating a project activates it, so whatever was active is restored below.
+        // Browsers pass a detached canvas; under Node a size is enough
+        const previous = paper.project;
+        const project = new paper.Project(options.canvas || new paper.Size(Math.round(width * scale), Math.round(height * scale)));
+        
+        try {
+            if (includeBackground) {
+                this.createBackground(width, height);
+            }
+            
+            const scene = {
+                mandalaGroup: new paper.Group(),
+                effectsLayer: new paper.Group()
+            };
+            
+            const center = new paper.Point(width / 2, height / 2);
+            const { baseRadius, palette, complexity, patternStyle } =
+                this.calculateMandalaParameters(biometrics, width, height, options.palette);
+            const symmetry = this.normalizeSymmetry(options.symmetry);
+            
+            for (let layer = 0; layer < complexity; layer++) {
+                try {
+                    this.createLayer(scene, biometrics, center, baseRadius, layer, complexity, palette, patternStyle, symmetry);
+                } catch (layerError) {
+                    console.warn(`Error creating layer ${layer}:`, layerError);
+                }
+            }
+            
+            this.createCentralElement(scene, biometrics, center, palette, baseRadius);
+            
+            if (includeEffects) {
+                this.addEnergyEffects(scene, biometrics, center, baseRadius, palette);
+            }
+            
+            project.view.zoom = scale;
+            project.view.center = center;
+            project.view.draw();
+            
+            return project;
+        } catch (error) {
+            project.remove();
+            throw error;
+        } finally {
+            previous?.activate();
+        }
+    }
+    
+    renderSVG(biometrics, size, options = {}) {
+        const project = this.render(biometrics, size, { ...options, scale: 1 });
+        try {
+            return project.exportSVG({ asString: true, bounds: 'view' });
+        } finally {
+            project.remove();
+        }
+    }
+    
+    createBackground(width, height) {
+        // The canvas itself is transparent, so paint the page gradient behind it
+        const background = new this.paper.Path.Rectangle(new this.paper.Rectangle(0, 0, width, height));
+        background.fillColor = {
+            gradient: {
+                stops: this.backgroundGradient
+            },
+            origin: background.bounds.topLeft,
+            destination: background.bounds.bottomRight
+        };
+        return background;
+    }
+    
+    calculateMandalaParameters(biometrics, width, height, palette = this.getPalette(biometrics.mood)) {
+        const maxRadius = Math.min(width, height) * 0.35;
+        if (maxRadius <= 0) {
+            throw new Error('Invalid canvas dimensions');
+        }
+        
+        // Dynamic sizing based on steps
+        const activityLevel = Math.max(0.4, Math.min(1.2, biometrics.steps / 15000));
+        const baseRadius = maxRadius * activityLevel;
+        
+        if (!palette || !palette.colors) {
+            throw new Error('Invalid color palette');
+        }
+        
+        // Calculate complexity based on sleep quality
+        const complexity = Math.max(3, Math.min(12, Math.floor(biometrics.sleepHours * 1.5) + 2));
+        
+        // Determine pattern style based on stress
+        const stressLevel = biometrics.stress;
+        let patternStyle;
+        if (stressLevel <= 3) patternStyle = 'calm';
+        else if (stressLevel <= 6) patternStyle = 'moderate';
+        else patternStyle = 'intense';
+        
+        return { maxRadius, baseRadius, palette, complexity, patternStyle };
+    }
+    
+    normalizeSymmetry(symmetry) {
+        // Fills in defaults and clamps; anything invalid falls back to the classic rings
+        const { min, max } = this.symmetryRange;
+        const value = { ...this.defaultSymmetry, ...symmetry };
+        const order = Number(value.order);
+        
+        return {
+            order: value.order !== null && Number.isFinite(order) ? Math.max(min, Math.min(max, Math.round(order))) : null,
+            mirror: !!value.mirror,
+            offset: Number.isFinite(Number(value.offset)) ? Math.max(0, Math.min(1, Number(value.offset))) : 0,
+            twist: Number.isFinite(Number(value.twist)) ? Math.max(-45, Math.min(45, Number(value.twist))) : 0,
+            driver: this.biometricRanges[value.driver] ? value.driver : null
+        };
+    }
+    
+    getFoldCount(biometrics, symmetry, layer) {
+        const { min, max } = this.symmetryRange;
+        
+        if (symmetry.driver) {
+            const range = this.biometricRanges[symmetry.driver];
+            const level = (biometrics[symmetry.driver] - range.min) / (range.max - range.min);
+            return Math.round(min + Math.max(0, Math.min(1, level)) * (max - min));
+        }
+        
+        if (symmetry.order) return symmetry.order;
+        
+        // Classic rings: heart rate sets the count, outer layers gain one each
+        const heartRateInfluence = Math.max(6, Math.floor(biometrics.heartRate / 12));
+        return Math.min(24, heartRateInfluence + layer); // Limit elements for performance
+    }
+    
+    getReflection(center, axisDegrees) {
+        // Reflection across the line through center at the given angle
+        const angle = 2 * axisDegrees * Math.PI / 180;
+        const a = Math.cos(angle);
+        const b = Math.sin(angle);
+        return new this.paper.Matrix(a, b, b, -a, center.x - (a * center.x + b * center.y), center.y - (b * center.x - a * center.y));
+    }
+    
+    // Scenes are { mandalaGroup, effectsLayer, onItem? }. onItem(item, { type, index }) is called
+    // for every element, centre and aura after it is placed, so the browser can animate them
+    createLayer(scene, biometrics, center, baseRadius, layer, totalLayers, palette, patternStyle, symmetry = this.defaultSymmetry) {
+        try {
+            const layerRadius = baseRadius * (1 - (layer / totalLayers) * 0.6);
+            const colorIndex = layer % palette.colors.length;
+            const color = palette.colors[colorIndex];
+            
+            // One element per fold, or a mirrored pair per fold for dihedral symmetry
+            const folds = this.getFoldCount(biometrics, symmetry, layer);
+            const elementsCount = symmetry.mirror ? folds * 2 : folds;
+            const sector = 360 / folds;
+            
+            // Offset staggers every other layer by a fraction of a fold; twist turns each layer a bit further
+            const rotation = (layer % 2) * symmetry.offset * sector + layer * symmetry.twist;
+            
+            // Create layer group
+            const layerGroup = new this.paper.Group();
+            
+            // Each layer draws one template from the active stress band
+            const template = this.selectPatternTemplate(patternStyle, layer, biometrics);
+            const context = { center, palette, elementsCount, totalLayers };
+            
+            const layerColor = new this.paper.Color(color).toCSS(true);
+            const place = (element, index) => {
+                // Remembered so the app can recolor it for a new mood: only the properties drawn in the
+                // layer color follow it, fixed outlines and fallback colors stay as generated
+                element.data.paletteLayer = layer;
+                element.data.paletteProperties = ['fillColor', 'strokeColor']
+                    .filter(property => element[property]?.toCSS(true) === layerColor);
+                layerGroup.addChild(element);
+                scene.onItem?.(element, { type: 'element', index });
+            };
+            
+            // Generate elements based on pattern template
+            for (let i = 0; i < folds; i++) {
+                try {
+                    // Mirrored elements sit a quarter fold off the axis, their reflection on the other side
+                    const axis = sector * i + rotation;
+                    const degrees = symmetry.mirror ? axis + sector / 4 : axis;
+                    const angle = degrees * Math.PI / 180;
+                    const x = center.x + Math.cos(angle) * layerRadius;
+                    const y = center.y + Math.sin(angle) * layerRadius;
+                    const index = symmetry.mirror ? i * 2 : i;
+                    
+                    const element = this.createTemplateElement(template, biometrics, { x, y, radius: layerRadius, color, angle, layer, index, ...context });
+                    
+                    if (element) {
+                        place(element, index);
+                        
+                        if (symmetry.mirror) {
+                            const reflection = element.clone({ insert: false });
+                            reflection.transform(this.getReflection(center, axis));
+                            place(reflection, index + 1);
+                        }
+                    }
+                } catch (elementError) {
+                    console.warn(`Error creating element ${i} in layer ${layer}:`, elementError);
+                    // Continue with other elements
+                }
+            }
+            
+            scene.mandalaGroup.addChild(layerGroup);
+            return layerGroup;
+            
+        } catch (error) {
+            console.error('Error creating mandala layer:', error);
+            throw error;
+        }
+    }
+    
+    createTemplateElement(template, biometrics, context) {
+        const style = this.patternStyles.get(template) || this.patternStyles.get('polygon');
+        
+        try {
+            const element = style.createElement({
+                ...context,
+                biometrics: { ...biometrics },
+                paper: this.paper
+            });
+            
+            if (element instanceof this.paper.Item) return element;
+            if (element && context.index === 0) console.warn(`Pattern style "${style.name}" did not return a Paper.js item`);
+            return null;
+        } catch (error) {
+            console.warn(`Pattern style "${style.name}" failed:`, error);
+            return null;
+        }
+    }
+    
+    createCentralElement(scene, biometrics, center, palette, baseRadius) {
+        try {
+            const centralSize = Math.max(10, 15 + (biometrics.mood * 2) + (biometrics.energy));
+            
+            // Create simple central element group
+            const centralGroup = new this.paper.Group();
+            
+            // Outer ring
+            const outerRing = new this.paper.Path.Circle(center, centralSize * 1.5);
+            try {
+                outerRing.strokeColor = new this.paper.Color(palette.colors[0]);
+            } catch (colorError) {
+                outerRing.strokeColor = '#4ecdc4';
+            }
+            outerRing.strokeWidth = 3;
+            outerRing.opacity = 0.6;
+            centralGroup.addChild(outerRing);
+            
+            // Main center
+            const centralElement = new this.paper.Path.Circle(center, centralSize);
+            try {
+                centralElement.fillColor = new this.paper.Color(palette.colors[0]);
+                centralElement.strokeColor = '#ffffff';
+            } catch (colorError) {
+                centralElement.fillColor = '#4ecdc4';
+                centralElement.strokeColor = '#ffffff';
+            }
+            centralElement.strokeWidth = 2;
+            centralGroup.addChild(centralElement);
+            
+            // Inner core
+            const innerCore = new this.paper.Path.Circle(center, centralSize * 0.4);
+            try {
+                innerCore.fillColor = new this.paper.Color(palette.colors[palette.colors.length - 1]).lighten(0.3);
+            } catch (colorError) {
+                innerCore.fillColor = '#ffffff';
+            }
+            innerCore.opacity = 0.8;
+            centralGroup.addChild(innerCore);
+            
+            scene.mandalaGroup.addChild(centralGroup);
+            scene.onItem?.(centralGroup, { type: 'center' });
+            return centralGroup;
+            
+        } catch (error) {
+            console.error('Error creating central element:', error);
+            // Create basic fallback central element
+            const fallbackCenter = new this.paper.Path.Circle(center, 20);
+            fallbackCenter.fillColor = '#4ecdc4';
+            fallbackCenter.strokeColor = '#ffffff';
+            fallbackCenter.strokeWidth = 2;
+            scene.mandalaGroup.addChild(fallbackCenter);
+            return fallbackCenter;
+        }
+    }
+    
+    addEnergyEffects(scene, biometrics, center, radius, palette) {
+        try {
+            if (biometrics.energy < 6) return null;
+            
+            // Add simple energy aura for high energy levels
+            const auraRadius = radius * 1.2;
+            const aura = new this.paper.Path.Circle(center, auraRadius);
+            
+            try {
+                aura.strokeColor = new this.paper.Color(palette.colors[0]).lighten(0.4);
+            } catch (colorError) {
+                aura.strokeColor = '#4ecdc4';
+            }
+            
+            aura.strokeWidth = 2;
+            aura.opacity = 0.3;
+            aura.dashArray = [5, 5];
+            
+            scene.effectsLayer.addChild(aura);
+            scene.onItem?.(aura, { type: 'aura' });
+            return aura;
+        } catch (error) {
+            console.error('Error adding energy effects:', error);
+            // Skip energy effects if they fail
+            return null;
+        }
+    }
+    
+    getPalette(mood) {
+        // Fractional moods (slider tweens, live data, replays) blend the two neighbouring palettes
+        const clamped = Math.max(1, Math.min(10, Number(mood) || 1));
+        const lower = Math.floor(clamped);
+        const t = Math.round((clamped - lower) * 100) / 100;
+        
+        if (t === 0) return this.colorPalettes[lower];
+        if (t === 1) return this.colorPalettes[lower + 1];
+        
+        const key = lower + t;
+        if (!this.paletteCache.has(key)) {
+            const from = this.colorPalettes[lower];
+            const to = this.colorPalettes[lower + 1];
+            const count = Math.max(from.colors.length, to.colors.length);
+            const nearest = t < 0.5 ? from : to;
+            
+            this.paletteCache.set(key, {
+                name: nearest.name,
+                emotion: nearest.emotion,
+                colors: Array.from({ length: count }, (_, i) =>
+                    this.mixColors(from.colors[i % from.colors.length], to.colors[i % to.colors.length], t))
+            });
+        }
+        
+        return this.paletteCache.get(key);
+    }
+    
+    registerBuiltInPatternStyles() {
+        const builtIns = {
+            circle: 'createSafeCalmElement',
+            lotus: 'createSafeLotusElement',
+            spiral: 'createSafeSpiralElement',
+            polygon: 'createSafeModerateElement',
+            triangle: 'createSafeTriangleElement',
+            diamond: 'createSafeDiamondElement',
+            star: 'createSafeStarElement',
+            spike: 'createSafeIntenseElement',
+            fractal: 'createSafeFractalElement',
+            lightning: 'createSafeLightningElement'
+        };
+        
+        for (const [name, method] of Object.entries(builtIns)) {
+            this.patternStyles.set(name, {
+                name,
+                builtIn: true,
+                selectFor: null,
+                createElement: (context) => this[method](context)
+            });
+        }
+    }
+    
+    // Custom styles can join stress bands and/or opt in per biometrics through selectFor;
+    // see BiometricMandalaGenerator.registerPatternStyle for the full contract
+    registerPatternStyle(name, definition = {}) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new Error('Pattern styles need a name');
+        }
+        if (this.patternStyles.get(name)?.builtIn) {
+            throw new Error(`"${name}" is a built-in pattern style`);
+        }
+        if (typeof definition.createElement !== 'function') {
+            throw new Error(`Pattern style "${name}" needs a createElement(ctx) function`);
+        }
+        if (definition.selectFor !== undefined && typeof definition.selectFor !== 'function') {
+            throw new Error(`selectFor of pattern style "${name}" must be a function`);
+        }
+        
+        const bands = definition.bands || [];
+        const unknownBand = bands.find(band => !this.patternTemplates[band]);
+        if (unknownBand) {
+            throw new Error(`Unknown stress band "${unknownBand}"`);
+        }
+        
+        this.patternStyles.set(name, {
+            name,
+            builtIn: false,
+            selectFor: definition.selectFor || null,
+            createElement: definition.createElement
+        });
+        bands.forEach(band => {
+            if (!this.patternTemplates[band].includes(name)) this.patternTemplates[band].push(name);
+        });
+        
+        return () => this.unregisterPatternStyle(name);
+    }
+    
+    unregisterPatternStyle(name) {
+        const style = this.patternStyles.get(name);
+        if (!style || style.builtIn) return false;
+        
+        this.patternStyles.delete(name);
+        for (const band of Object.keys(this.patternTemplates)) {
+            this.patternTemplates[band] = this.patternTemplates[band].filter(template => template !== name);
+        }
+        
+        return true;
+    }
+    
+    mapPatternBand(band, styleNames) {
+        // Replaces a stress band's whole rotation, e.g. mapPatternBand('intense', ['spike', 'petal'])
+        if (!this.patternTemplates[band]) {
+            throw new Error(`Unknown stress band "${band}"`);
+        }
+        
+        const unknownStyle = styleNames.find(name => !this.patternStyles.has(name));
+        if (styleNames.length === 0 || unknownStyle) {
+            throw new Error(unknownStyle ? `Unknown pattern style "${unknownStyle}"` : 'A band needs at least one style');
+        }
+        
+        this.patternTemplates[band] = [...styleNames];
+    }
+    
+    getPatternCandidates(band, biometrics) {
+        const listed = (this.patternTemplates[band] || this.patternTemplates.calm)
+            .filter(name => this.patternStyles.has(name));
+        
+        // Styles that opt in through selectFor join whichever band is active
+        const selected = [...this.patternStyles.values()]
+            .filter(style => style.selectFor && !listed.includes(style.name))
+            .filter(style => {
+                try {
+                    return !!style.selectFor({ ...biometrics }, band);
+                } catch (error) {
+                    console.warn(`selectFor of pattern style "${style.name}" failed:`, error);
+                    return false;
+                }
+            })
+            .map(style => style.name);
+        
+        const candidates = [...listed, ...selected];
+        return candidates.length > 0 ? candidates : ['polygon'];
+    }
+    
+    selectPatternTemplate(patternStyle, layer, biometrics) {
+        const templates = this.getPatternCandidates(patternStyle, biometrics);
+        
+        // Rotate through the band per layer, offset by heart rate so the
+        // same biometrics always produce the same arrangement
+        const offset = Math.floor(biometrics.heartRate) % templates.length;
+        return templates[(layer + offset) % templates.length];
+    }
+    
+    createSafeCalmElement({ x, y, radius, color, angle, layer, biometrics }) {
+        try {
+            const energyMultiplier = biometrics.energy / 10;
+            const size = Math.max(2, (radius * 0.03 + layer * 0.005) * energyMultiplier);
+            
+            // Create simple circle with safe color handling
+            const element = new this.paper.Path.Circle(new this.paper.Point(x, y), size);
+            
+            // Safe color assignment
+            try {
+                element.fillColor = new this.paper.Color(color);
+                element.strokeColor = new this.paper.Color(color).lighten(0.3);
+            } catch (colorError) {
+                // Fallback to basic colors
+                element.fillColor = '#4ecdc4';
+                element.strokeColor = '#ffffff';
+            }
+            
+            element.strokeWidth = 1;
+            element.opacity = Math.max(0.3, 0.7 + (layer * 0.02));
+            
+            return element;
+        } catch (error) {
+            console.error('Error creating calm element:', error);
+            return null;
+        }
+    }
+    
+    createSafeLotusElement({ x, y, radius, color, angle, layer, biometrics }) {
+        try {
+            const energyMultiplier = biometrics.energy / 10;
+            const length = Math.max(6, (radius * 0.08 + layer * 0.01) * energyMultiplier);
+            const width = length * 0.45;
+            const origin = new this.paper.Point(x, y);
+            
+            // Petal drawn along the x axis, then turned to point outward
+            const petal = new this.paper.Path();
+            petal.moveTo(origin);
+            petal.cubicCurveTo(
+                origin.add([length * 0.3, -width]),
+                origin.add([length * 0.8, -width * 0.6]),
+                origin.add([length, 0])
+            );
+            petal.cubicCurveTo(
+                origin.add([length * 0.8, width * 0.6]),
+                origin.add([length * 0.3, width]),
+                origin
+            );
+            petal.closed = true;
+            petal.position = petal.position.subtract([length / 2, 0]);
+            petal.rotate(angle * 180 / Math.PI, origin);
+            
+            try {
+                petal.fillColor = new this.paper.Color(color);
+                petal.strokeColor = new this.paper.Color(color).lighten(0.35);
+            } catch (colorError) {
+                petal.fillColor = '#4ecdc4';
+                petal.strokeColor = '#ffffff';
+            }
+            
+            petal.strokeWidth = 1;
+            petal.opacity = Math.max(0.3, 0.65 + (layer * 0.02));
+            
+            return petal;
+        } catch (error) {
+            console.error('Error creating lotus element:', error);
+            return null;
+        }
+    }
+    
+    createSafeSpiralElement({ x, y, radius, color, angle, layer, biometrics }) {
+        try {
+            const energyMultiplier = biometrics.energy / 10;
+            const size = Math.max(4, (radius * 0.05 + layer * 0.01) * energyMultiplier);
+            const turns = 2 + (layer % 2);
+            const steps = turns * 24;
+            
+            // Archimedean spiral: r = a * theta
+            const maxTheta = turns * 2 * Math.PI;
+            const growth = size / maxTheta;
+            const spiral = new this.paper.Path();
+            
+            for (let step = 0; step <= steps; step++) {
+                const theta = (step / steps) * maxTheta;
+                const r = growth * theta;
+                spiral.add(new this.paper.Point(
+                    x + Math.cos(theta + angle) * r,
+                    y + Math.sin(theta + angle) * r
+                ));
+            }
+            spiral.smooth();
+            
+            try {
+                spiral.strokeColor = new this.paper.Color(color).lighten(0.2);
+            } catch (colorError) {
+                spiral.strokeColor = '#4ecdc4';
+            }
+            
+            spiral.strokeWidth = 1.5;
+            spiral.strokeCap = 'round';
+            spiral.opacity = Math.max(0.3, 0.7 + (layer * 0.02));
+            
+            return spiral;
+        } catch (error) {
+            console.error('Error creating spiral element:', error);
+            return null;
+        }
+    }
+    
+    createSafeModerateElement({ x, y, radius, color, angle, layer, biometrics }) {
+        try {
+            const energyMultiplier = biometrics.energy / 10;
+            const size = Math.max(2, (radius * 0.04 + layer * 0.008) * energyMultiplier);
+            
+            // Create geometric shape
+            const sides = Math.max(3, Math.min(8, 4 + Math.floor(layer / 2)));
+            const element = new this.paper.Path.RegularPolygon(new this.paper.Point(x, y), sides, size);
+            
+            // Safe color assignment
+            try {
+                element.fillColor = new this.paper.Color(color);
+                element.strokeColor = '#ffffff';
+            } catch (colorError) {
+                element.fillColor = '#ff6b6b';
+                element.strokeColor = '#ffffff';
+            }
+            
+            element.strokeWidth = 1.5;
+            element.opacity = Math.max(0.3, 0.6 + (layer * 0.03));
+            element.rotate(angle * 180 / Math.PI + layer * 15);
+            
+            return element;
+        } catch (error) {
+            console.error('Error creating moderate element:', error);
+            return null;
+        }
+    }
+    
+    createSafeTriangleElement({ x, y, radius, color, angle, layer, biometrics }) {
+        try {
+            const energyMultiplier = biometrics.energy / 10;
+            const size = Math.max(2, (radius * 0.04 + layer * 0.008) * energyMultiplier);
+            
+            const element = new this.paper.Path.RegularPolygon(new this.paper.Point(x, y), 3, size);
+            
+            try {
+                element.fillColor = new this.paper.Color(color);
+                element.strokeColor = '#ffffff';
+            } catch (colorError) {
+                element.fillColor = '#ff6b6b';
+                element.strokeColor = '#ffffff';
+            }
+            
+            element.strokeWidth = 1.5;
+            element.opacity = Math.max(0.3, 0.6 + (layer * 0.03));
+            
+            // RegularPolygon points up; turn the apex outward
+            element.rotate(angle * 180 / Math.PI + 90);
+            
+            return element;
+        } catch (error) {
+            console.error('Error creating triangle element:', error);
+            return null;
+        }
+    }
+    
+    createSafeDiamondElement({ x, y, radius, color, angle, layer, biometrics }) {
+        try {
+            const energyMultiplier = biometrics.energy / 10;
+            const size = Math.max(2, (radius * 0.05 + layer * 0.008) * energyMultiplier);
+            
+            const element = new this.paper.Path([
+                new this.paper.Point(x + size, y),
+                new this.paper.Point(x, y + size * 0.5),
+                new this.paper.Point(x - size, y),
+                new this.paper.Point(x, y - size * 0.5)
+            ]);
+            element.closed = true;
+            
+            try {
+                element.fillColor = new this.paper.Color(color);
+                element.strokeColor = new this.paper.Color(color).lighten(0.4);
+            } catch (colorError) {
+                element.fillColor = '#ff6b6b';
+                element.strokeColor = '#ffffff';
+            }
+            
+            element.strokeWidth = 1.5;
+            element.opacity = Math.max(0.3, 0.6 + (layer * 0.03));
+            element.rotate(angle * 180 / Math.PI);
+            
+            return element;
+        } catch (error) {
+            console.error('Error creating diamond element:', error);
+            return null;
+        }
+    }
+    
+    createSafeStarElement({ x, y, radius, color, angle, layer, biometrics }) {
+        try {
+            const energyMultiplier = biometrics.energy / 10;
+            const size = Math.max(2, (radius * 0.045 + layer * 0.008) * energyMultiplier);
+            
+            const element = new this.paper.Path.Star(new this.paper.Point(x, y), 5, size * 0.5, size);
+            
+            try {
+                element.fillColor = new this.paper.Color(color);
+                element.strokeColor = '#ffffff';
+            } catch (colorError) {
+                element.fillColor = '#ff6b6b';
+                element.strokeColor = '#ffffff';
+            }
+            
+            element.strokeWidth = 1;
+            element.opacity = Math.max(0.3, 0.6 + (layer * 0.03));
+            element.rotate(angle * 180 / Math.PI + 90);
+            
+            return element;
+        } catch (error) {
+            console.error('Error creating star element:', error);
+            return null;
+        }
+    }
+    
+    createSafeIntenseElement({ x, y, radius, color, angle, layer, biometrics }) {
+        try {
+            const energyMultiplier = biometrics.energy / 10;
+            const size = Math.max(2, (radius * 0.05 + layer * 0.01) * energyMultiplier);
+            
+            // Create star shape
+            const spikes = Math.max(5, Math.min(12, 6 + layer));
+            const element = new this.paper.Path.Star(new this.paper.Point(x, y), spikes, size * 0.4, size);
+            
+            // Safe color assignment
+            try {
+                element.fillColor = new this.paper.Color(color);
+                element.strokeColor = new this.paper.Color(color).lighten(0.5);
+            } catch (colorError) {
+                element.fillColor = '#45b7d1';
+                element.strokeColor = '#ffffff';
+            }
+            
+            element.strokeWidth = 2;
+            element.opacity = Math.max(0.3, 0.5 + (layer * 0.04));
+            element.rotate(angle * 180 / Math.PI + layer * 30);
+            
+            // Safe scaling
+            const stressScale = 1 + (biometrics.stress / 30);
+            element.scale(stressScale);
+            
+            return element;
+        } catch (error) {
+            console.error('Error creating intense element:', error);
+            return null;
+        }
+    }
+    
+    createSafeFractalElement({ x, y, radius, color, angle, layer, biometrics }) {
+        try {
+            const energyMultiplier = biometrics.energy / 10;
+            const length = Math.max(4, (radius * 0.06 + layer * 0.01) * energyMultiplier);
+            
+            // Keep recursion shallow on busy layers for performance
+            const depth = layer < 4 ? 3 : 2;
+            const spread = 20 + biometrics.stress * 2;
+            
+            const element = new this.paper.Group();
+            this.addFractalBranches(element, new this.paper.Point(x, y), angle * 180 / Math.PI, length, depth, spread);
+            
+            let strokeColor;
+            try {
+                strokeColor = new this.paper.Color(color).lighten(0.2);
+            } catch (colorError) {
+                strokeColor = new this.paper.Color('#45b7d1');
+            }
+            
+            element.children.forEach(branch => {
+                branch.strokeColor = strokeColor;
+                branch.strokeCap = 'round';
+            });
+            element.opacity = Math.max(0.3, 0.55 + (layer * 0.04));
+            
+            return element;
+        } catch (error) {
+            console.error('Error creating fractal element:', error);
+            return null;
+        }
+    }
+    
+    addFractalBranches(group, start, direction, length, depth, spread) {
+        if (depth <= 0 || length < 1) return;
+        
+        const end = start.add(new this.paper.Point({ angle: direction, length: length }));
+        const branch = new this.paper.Path.Line(start, end);
+        branch.strokeWidth = Math.max(0.5, depth * 0.7);
+        group.addChild(branch);
+        
+        this.addFractalBranches(group, end, direction - spread, length * 0.6, depth - 1, spread);
+        this.addFractalBranches(group, end, direction + spread, length * 0.6, depth - 1, spread);
+    }
+    
+    createSafeLightningElement({ x, y, radius, color, angle, layer, index, biometrics }) {
+        try {
+            const energyMultiplier = biometrics.energy / 10;
+            const length = Math.max(6, (radius * 0.1 + layer * 0.01) * energyMultiplier);
+            const segments = 5;
+            const jitter = length * (0.12 + biometrics.stress / 100);
+            
+            // Seeded so regenerating the same biometrics yields the same bolts
+            const random = this.seededRandom(layer * 1000 + index);
+            const origin = new this.paper.Point(x, y);
+            const bolt = new this.paper.Path();
+            
+            for (let s = 0; s <= segments; s++) {
+                const along = (s / segments) * length - length / 2;
+                const offset = s === 0 || s === segments ? 0 : (random() * 2 - 1) * jitter;
+                bolt.add(origin.add([along, offset]));
+            }
+            bolt.rotate(angle * 180 / Math.PI, origin);
+            
+            try {
+                bolt.strokeColor = new this.paper.Color(color).lighten(0.5);
+            } catch (colorError) {
+                bolt.strokeColor = '#ffffff';
+            }
+            
+            bolt.strokeWidth = 2;
+            bolt.strokeJoin = 'miter';
+            bolt.opacity = Math.max(0.3, 0.5 + (layer * 0.04));
+            
+            return bolt;
+        } catch (error) {
+            console.error('Error creating lightning element:', error);
+            return null;
+        }
+    }
+    
+    hexToRgb(hex) {
+        let value = hex.replace('#', '');
+        if (value.length === 3) value = value.replace(/./g, '$&$&');
+        const number = parseInt(value, 16);
+        return [(number >> 16) & 255, (number >> 8) & 255, number & 255].map(channel => channel / 255);
+    }
+    
+    rgbToHex(rgb) {
+        return '#' + rgb.map(channel => Math.round(channel * 255).toString(16).padStart(2, '0')).join('').toUpperCase();
+    }
+    
+    rgbToOklab(rgb) {
+        // sRGB (0-1) -> OKLab, per Björn Ottosson's reference implementation
+        const [r, g, b] = rgb.map(c => c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4);
+        
+        const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+        const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+        const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+        
+        return [
+            0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+            1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+            0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+        ];
+    }
+    
+    oklabToRgb([L, a, b]) {
+        const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+        const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+        const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+        
+        const linear = [
+            4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+            -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+            -0.0041960863 * l - 0.7034186168 * m + 1.7076147010 * s
+        ];
+        
+        // Clip to the sRGB gamut; palettes are mixed between in-gamut colors so overshoot is small
+        return linear.map(c => {
+            const encoded = c <= 0.0031308 ? 12.92 * c : 1.055 * Math.max(c, 0) ** (1 / 2.4) - 0.055;
+            return Math.max(0, Math.min(1, encoded));
+        });
+    }
+    
+    mixColors(fromHex, toHex, t) {
+        // Interpolate in OKLCH along the shorter hue arc so blends stay vivid instead of going muddy
+        const toLch = ([L, a, b]) => [L, Math.hypot(a, b), Math.atan2(b, a)];
+        const [L1, C1, h1] = toLch(this.rgbToOklab(this.hexToRgb(fromHex)));
+        const [L2, C2, h2] = toLch(this.rgbToOklab(this.hexToRgb(toHex)));
+        
+        // Greys have no meaningful hue; borrow the other color's
+        const hueFrom = C1 < 0.02 ? h2 : h1;
+        const hueTo = C2 < 0.02 ? h1 : h2;
+        let delta = hueTo - hueFrom;
+        if (delta > Math.PI) delta -= 2 * Math.PI;
+        if (delta < -Math.PI) delta += 2 * Math.PI;
+        
+        const L = L1 + (L2 - L1) * t;
+        const C = C1 + (C2 - C1) * t;
+        const h = hueFrom + delta * t;
+        
+        return this.rgbToHex(this.oklabToRgb([L, C * Math.cos(h), C * Math.sin(h)]));
+    }
+    
+    seededRandom(seed) {
+        // Mulberry32 - small deterministic PRNG returning values in [0, 1)
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+    
+    calculateWellnessBreakdown(biometrics, model = this.defaultWellnessModel) {
+        // Each metric gets a 0-100 sub-score; its contribution is sub-score x normalized weight
+        const heartRate = this.scoreHeartRate(biometrics.heartRate, model);
+        const subScores = {
+            heartRate,
+            sleepHours: {
+                score: Math.min(100, (biometrics.sleepHours / model.sleepGoal) * 100),
+                detail: `${Number(biometrics.sleepHours).toFixed(1)} of ${model.sleepGoal} h goal`
+            },
+            steps: {
+                score: Math.min(100, (biometrics.steps / model.stepGoal) * 100),
+                detail: `${Math.round(biometrics.steps).toLocaleString()} of ${model.stepGoal.toLocaleString()} goal`
+            },
+            mood: { score: biometrics.mood * 10, detail: `${Math.round(biometrics.mood * 10) / 10} / 10` },
+            energy: { score: biometrics.energy * 10, detail: `${Math.round(biometrics.energy * 10) / 10} / 10` },
+            stress: { score: (11 - biometrics.stress) * 10, detail: `${Math.round(biometrics.stress * 10) / 10} / 10, lower is better` }
+        };
+        
+        const rawWeights = Object.values(model.weights).some(weight => weight > 0) ? model.weights : this.defaultWellnessModel.weights;
+        const totalWeight = Object.values(rawWeights).reduce((sum, weight) => sum + weight, 0);
+        
+        const metrics = Object.entries(subScores).map(([key, { score, detail }]) => {
+            const subScore = Math.max(0, Math.min(100, score));
+            const weight = (rawWeights[key] || 0) / totalWeight;
+            return { key, label: this.biometricLabels[key], detail, subScore, weight, contribution: subScore * weight };
+        });
+        
+        const total = metrics.reduce((sum, metric) => sum + metric.contribution, 0);
+        return { score: Math.round(Math.max(0, Math.min(100, total))), metrics };
+    }
+    
+    scoreHeartRate(heartRate, model = this.defaultWellnessModel) {
+        const { age, restingHeartRate } = model;
+        const deviation = Math.abs(heartRate - restingHeartRate);
+        
+        if (!age || heartRate <= restingHeartRate) {
+            return {
+                score: 100 - deviation * 1.5,
+                detail: `${Math.round(deviation)} BPM from ${restingHeartRate} BPM resting target`
+            };
+        }
+        
+        // Above resting, score falls through the age-based zones (Tanaka: HRmax = 208 - 0.7 x age)
+        const maxHeartRate = 208 - 0.7 * age;
+        const points = [[restingHeartRate, 100], ...[[0.5, 85], [0.6, 75], [0.7, 60], [0.8, 45], [0.9, 30], [1, 15]]
+            .map(([fraction, score]) => [fraction * maxHeartRate, score])
+            .filter(([bpm]) => bpm > restingHeartRate)];
+        
+        let score = Math.max(0, 15 - (heartRate - maxHeartRate) * 1.5);
+        for (let i = 1; i < points.length; i++) {
+            const [fromBpm, fromScore] = points[i - 1];
+            const [toBpm, toScore] = points[i];
+            if (heartRate <= toBpm) {
+                score = fromScore + (toScore - fromScore) * ((heartRate - fromBpm) / (toBpm - fromBpm));
+                break;
+            }
+        }
+        
+        const intensity = heartRate / maxHeartRate;
+        return {
+            score,
+            detail: `${this.getHeartRateZone(intensity)} · ${Math.round(intensity * 100)}% of ${Math.round(maxHeartRate)} max`
+        };
+    }
+    
+    getHeartRateZone(intensity) {
+        if (intensity < 0.5) return 'Resting';
+        if (intensity < 0.6) return 'Zone 1 (very light)';
+        if (intensity < 0.7) return 'Zone 2 (light)';
+        if (intensity < 0.8) return 'Zone 3 (moderate)';
+        if (intensity < 0.9) return 'Zone 4 (hard)';
+        return 'Zone 5 (maximum)';
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MandalaCore;
+}
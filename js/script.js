@@ -5,6 +5,9 @@
 
 class BiometricMandalaGenerator {
     constructor() {
+        // Generation core (js/mandala-core.js); this class is the interactive UI around it
+        this.core = new MandalaCore(paper);
+        
         // Core canvas and rendering
         this.canvas = null;
         this.project = null;
@@ -24,11 +27,13 @@ class BiometricMandalaGenerator {
         };
         
         // State tracking
-        this.patternCount = 0;
+        this.patternCount = parseInt(this.loadLocalSetting('patternCount', 0)) || 0;
         this.complexityScore = 0;
         this.sessionStartTime = Date.now();
         this.generationQueue = [];
         this.isGenerating = false;
+        this.firstGenerationStarted = false;
+        this.colorTween = null;
         
         // Touch and interaction
         this.touchState = {
@@ -38,12 +43,24 @@ class BiometricMandalaGenerator {
             isZooming: false
         };
         
-        // Audio context for ambient sounds
+        // Host page listeners for the public API events (see on/off below)
+        this.eventListeners = new Map();
+        this.lastEmitted = { biometrics: null, wellnessScore: null };
+        
+        // Audio context for ambient sounds; the synth graph is built on first enable
         this.audioContext = null;
         this.ambientSounds = {
             enabled: false,
-            oscillator: null,
-            gainNode: null
+            volume: Math.max(0, Math.min(1, parseFloat(this.loadLocalSetting('ambientVolume', 0.5)) || 0)),
+            gainNode: null,
+            filter: null,
+            voice: null,
+            params: null,
+            pulseTimer: null,
+            nextPulseTime: 0,
+            lastCrossfade: 0,
+            crossfadeTime: 3,
+            crossfadeTimer: null
         };
         
         // Biometric data with enhanced ranges
@@ -56,103 +73,155 @@ class BiometricMandalaGenerator {
             energy: 6
         };
         
-        // Enhanced color palettes with emotional mapping
-        this.colorPalettes = {
-            1: { 
-                name: 'Deep Melancholy',
-                colors: ['#8B0000', '#4B0000', '#2F1B14'],
-                emotion: 'distressed'
-            },
-            2: { 
-                name: 'Gentle Sadness',
-                colors: ['#CD5C5C', '#8B4513', '#A0522D'],
-                emotion: 'sad'
-            },
-            3: { 
-                name: 'Restless Energy',
-                colors: ['#FF6347', '#FF4500', '#DA70D6'],
-                emotion: 'restless'
-            },
-            4: { 
-                name: 'Seeking Balance',
-                colors: ['#FFD700', '#FF8C00', '#FFA500'],
-                emotion: 'searching'
-            },
-            5: { 
-                name: 'Neutral Harmony',
-                colors: ['#F0E68C', '#BDB76B', '#9ACD32'],
-                emotion: 'neutral'
-            },
-            6: { 
-                name: 'Gentle Optimism',
-                colors: ['#98FB98', '#90EE90', '#00FA9A'],
-                emotion: 'hopeful'
-            },
-            7: { 
-                name: 'Vibrant Joy',
-                colors: ['#00CED1', '#20B2AA', '#48D1CC'],
-                emotion: 'happy'
+        this.palettePreview = null;
+        // Palettes from a shared link: shown for this session only, never saved over the user's own
+        this.sharedPalettes = {};
+        this.sharedPaletteCache = new Map();
+        this.applyCustomPalettes(this.loadLocalSetting('customPalettes', {}));
+        
+        // Built-in presets; the user's edited list (order, names, icons, custom entries) is persisted
+        this.defaultPresets = [
+            {
+                id: 'morning',
+                name: 'Morning',
+                icon: 'sun',
+                builtIn: true,
+                biometrics: { heartRate: 65, sleepHours: 7.5, steps: 2000, mood: 6, stress: 2, energy: 7 }
             },
-            8: { 
-                name: 'Radiant Bliss',
-                colors: ['#87CEEB', '#87CEFA', '#00BFFF'],
-                emotion: 'joyful'
+            {
+                id: 'evening',
+                name: 'Evening',
+                icon: 'moon',
+                builtIn: true,
+                biometrics: { heartRate: 70, sleepHours: 8.0, steps: 8500, mood: 7, stress: 4, energy: 5 }
             },
-            9: { 
-                name: 'Ethereal Ecstasy',
-                colors: ['#9370DB', '#8A2BE2', '#9932CC'],
-                emotion: 'ecstatic'
+            {
+                id: 'workout',
+                name: 'Workout',
+                icon: 'dumbbell',
+                builtIn: true,
+                biometrics: { heartRate: 140, sleepHours: 8.0, steps: 12000, mood: 8, stress: 3, energy: 9 }
             },
-            10: { 
-                name: 'Divine Unity',
-                colors: ['#E6E6FA', '#DDA0DD', '#DA70D6'],
-                emotion: 'transcendent'
+            {
+                id: 'meditation',
+                name: 'Meditation',
+                icon: 'spa',
+                builtIn: true,
+                biometrics: { heartRate: 55, sleepHours: 9.0, steps: 3000, mood: 9, stress: 1, energy: 6 }
             }
+        ];
+        this.presetIcons = [
+            'sun', 'moon', 'dumbbell', 'spa', 'heart', 'bed', 'running', 'walking', 'coffee',
+            'briefcase', 'leaf', 'mountain', 'bolt', 'smile', 'brain', 'music', 'star', 'bookmark'
+        ];
+        this.presets = this.loadPresets();
+        
+        this.wellnessModel = this.loadWellnessModel();
+        this.symmetry = this.core.normalizeSymmetry(this.loadLocalSetting('symmetry', null));
+        
+        // Short URL parameter names for shareable links
+        this.shareParams = {
+            heartRate: 'hr',
+            sleepHours: 'sleep',
+            steps: 'steps',
+            mood: 'mood',
+            stress: 'stress',
+            energy: 'energy'
+        };
+        this.shareSymmetryParams = {
+            order: 'fold',
+            mirror: 'mirror',
+            offset: 'offset',
+            twist: 'twist',
+            driver: 'driver'
         };
         
-        // Pattern templates based on complexity and stress
-        this.patternTemplates = {
-            calm: ['circle', 'lotus', 'spiral'],
-            moderate: ['triangle', 'diamond', 'star'],
-            intense: ['spike', 'fractal', 'lightning']
+        // Live data source (WebSocket or Server-Sent Events)
+        this.liveSource = {
+            url: this.loadLocalSetting('liveSourceURL', 'ws://localhost:8765'),
+            smoothing: parseFloat(this.loadLocalSetting('liveSmoothing', 0.3)) || 0.3,
+            connection: null,
+            status: 'offline',
+            retryCount: 0,
+            retryTimer: null,
+            maxRetryDelay: 30000,
+            smoothed: {},
+            frame: null,
+            layoutKey: null
         };
         
-        // Preset configurations
-        this.presets = {
-            morning: {
-                heartRate: 65,
-                sleepHours: 7.5,
-                steps: 2000,
-                mood: 6,
-                stress: 2,
-                energy: 7
-            },
-            evening: {
-                heartRate: 70,
-                sleepHours: 8.0,
-                steps: 8500,
-                mood: 7,
-                stress: 4,
-                energy: 5
-            },
-            workout: {
-                heartRate: 140,
-                sleepHours: 8.0,
-                steps: 12000,
-                mood: 8,
-                stress: 3,
-                energy: 9
-            },
-            meditation: {
-                heartRate: 55,
-                sleepHours: 9.0,
-                steps: 3000,
-                mood: 9,
-                stress: 1,
-                energy: 6
-            }
+        // Replay of imported time series; the whole span plays in baseDuration ms at 1x
+        this.timeline = {
+            samples: [],
+            title: '',
+            position: 0,
+            playing: false,
+            speed: 1,
+            baseDuration: 60000,
+            frame: null,
+            lastTick: null,
+            layoutKey: null
+        };
+        
+        // Guided breathing patterns as [phase, seconds] steps; holds keep the previous size
+        this.breathingPatterns = {
+            box: { name: 'Box breathing', summary: '4-4-4-4', phases: [['inhale', 4], ['hold', 4], ['exhale', 4], ['hold', 4]] },
+            relax: { name: '4-7-8 breathing', summary: '4-7-8', phases: [['inhale', 4], ['hold', 7], ['exhale', 8]] },
+            coherent: { name: 'Coherent breathing', summary: '5.5 breaths / min', phases: [['inhale', 60 / 5.5 / 2], ['exhale', 60 / 5.5 / 2]] }
+        };
+        this.breathingSession = {
+            patternId: null,
+            startTime: 0,
+            cycles: 0,
+            phaseKey: null,
+            frame: null
+        };
+        
+        // Export sizes; width/height of null means "match the screen"
+        this.exportSizePresets = {
+            screen: { label: 'Screen size', width: null, height: null, dpi: 96 },
+            hd: { label: 'Full HD (1920 × 1080)', width: 1920, height: 1080, dpi: 96 },
+            uhd: { label: '4K UHD (3840 × 2160)', width: 3840, height: 2160, dpi: 96 },
+            a4: { label: 'A4 @ 300 DPI (2480 × 3508)', width: 2480, height: 3508, dpi: 300 },
+            a3: { label: 'A3 @ 300 DPI (3508 × 4961)', width: 3508, height: 4961, dpi: 300 },
+            poster: { label: 'Square poster (8000 × 8000)', width: 8000, height: 8000, dpi: 300 }
+        };
+        
+        // Local journal of generated mandalas (IndexedDB)
+        this.journal = {
+            databaseName: 'biometric-mandala',
+            version: 1,
+            db: null,
+            lastSignature: null,
+            listLimit: 50,
+            maxEntries: 500
+        };
+        
+        // Wellness score bands for filtering the gallery
+        this.wellnessBands = [
+            { id: 'low', label: 'Low (0–49)', min: 0 },
+            { id: 'fair', label: 'Fair (50–69)', min: 50 },
+            { id: 'good', label: 'Good (70–84)', min: 70 },
+            { id: 'excellent', label: 'Excellent (85–100)', min: 85 }
+        ];
+        
+        // Before/after comparison; each side is { label, biometrics } while the view is open
+        this.comparison = {
+            before: null,
+            after: null
         };
         
+        // Recording state
+        this.isRecording = false;
+        this.maxRecordingSeconds = 60;
+        // Offline rendering holds the whole float buffer and then the WAV in memory (~32 MB per minute)
+        this.maxSoundtrackMinutes = 5;
+        
+        // Browser canvas limits (Chromium: 16384 px per side at this area)
+        this.maxExportDimension = 16384;
+        this.maxExportPixels = 268435456;
+        this.exportDpiRange = { min: 72, max: 1200 };
+        
         this.init();
     }
     
@@ -163,6 +232,9 @@ class BiometricMandalaGenerator {
             this.detectCapabilities();
             console.log('Capabilities detected:', this.capabilities);
             
+            // Restore a shared mandala before anything reads the biometrics
+            this.restoreStateFromURL();
+            
             this.setupCanvas();
             this.setupControls();
             this.setupChart();
@@ -170,13 +242,19 @@ class BiometricMandalaGenerator {
             this.setupAccessibility();
             this.setupPerformanceMonitoring();
             this.setupTouchInteractions();
+            this.setupImport();
+            this.setupLiveSource();
+            this.setupTimeline();
+            this.setupWellnessBreakdown();
             this.startSessionTracking();
+            await this.setupJournal();
             
             // Wait a frame to ensure DOM is ready
             await this.nextFrame();
             
             // Initial generation with smooth intro
             console.log('Starting initial mandala generation...');
+            this.firstGenerationStarted = true;
             await this.generateMandalaWithIntro();
             
             this.startAnimation();
@@ -212,8 +290,11 @@ class BiometricMandalaGenerator {
             devicePixelRatio: window.devicePixelRatio || 1,
             reducedMotion: window.matchMedia('(prefers-reduced-motion: reduce)').matches,
             webAudio: !!(window.AudioContext || window.webkitAudioContext),
+            offlineAudio: !!(window.OfflineAudioContext || window.webkitOfflineAudioContext),
             webGL: !!document.createElement('canvas').getContext('webgl'),
-            performance: !!window.performance
+            mediaRecorder: !!(window.MediaRecorder && HTMLCanvasElement.prototype.captureStream),
+            performance: !!window.performance,
+            indexedDB: !!window.indexedDB
         };
         
         // Adjust settings based on capabilities
@@ -240,7 +321,8 @@ class BiometricMandalaGenerator {
             // Create organized layer groups with error checking
             this.backgroundLayer = new paper.Group();
             this.mandalaGroup = new paper.Group();
-            this.animationGroup = new paper.Group();
+            // Keeps its own matrix so the breathing scale is absolute instead of compounding every frame
+            this.animationGroup = new paper.Group({ applyMatrix: false });
             this.effectsLayer = new paper.Group();
             
             // Ensure groups are properly added to project
@@ -284,6 +366,8 @@ class BiometricMandalaGenerator {
                 this.queueGeneration();
             }
         }
+        
+        if (this.comparison.before) this.renderComparison();
     }
     
     setupControls() {
@@ -336,18 +420,59 @@ class BiometricMandalaGenerator {
         // Action buttons with enhanced feedback
         this.setupActionButton('regenerateBtn', this.regenerateMandala.bind(this), 'Regenerate mandala');
         this.setupActionButton('pauseBtn', this.toggleAnimation.bind(this), 'Toggle animation');
-        this.setupActionButton('exportBtn', this.exportMandala.bind(this), 'Export mandala as image');
+        this.setupActionButton('exportBtn', this.showExportDialog.bind(this), 'Export mandala');
+        this.setupActionButton('recordBtn', this.showRecordDialog.bind(this), 'Record mandala animation');
+        this.setupActionButton('soundtrackBtn', this.showSoundtrackDialog.bind(this), 'Export soundtrack');
+        this.setupActionButton('breathingBtn', () => this.showBreathingDialog(), 'Start guided breathing');
+        this.setupActionButton('compareBtn', this.showComparisonDialog.bind(this), 'Compare two states');
+        this.setupActionButton('symmetryBtn', this.showSymmetryDialog.bind(this), 'Symmetry settings');
+        document.getElementById('breathingStopBtn')?.addEventListener('click', () => this.stopBreathingSession());
+        document.getElementById('comparisonCloseBtn')?.addEventListener('click', () => this.stopComparison());
+        document.getElementById('comparisonSwapBtn')?.addEventListener('click', () => {
+            const { before, after } = this.comparison;
+            this.startComparison(after, before);
+        });
         this.setupActionButton('shareBtn', this.shareMandala.bind(this), 'Share mandala');
+        this.setupActionButton('paletteBtn', this.showPaletteEditor.bind(this), 'Edit color palettes');
         this.setupActionButton('randomDataBtn', this.generateRandomData.bind(this), 'Generate random biometric data');
         this.setupActionButton('fullscreenBtn', this.toggleFullscreen.bind(this), 'Toggle fullscreen mode');
         
         // Quick action presets
         this.setupActionButton('quickStart', this.showQuickStartTutorial.bind(this), 'Show quick start tutorial');
-        this.setupActionButton('presetMorning', () => this.applyPreset('morning'), 'Apply morning preset');
-        this.setupActionButton('presetEvening', () => this.applyPreset('evening'), 'Apply evening preset');
+        this.setupActionButton('presetManagerBtn', this.showPresetManager.bind(this), 'Manage presets');
+        this.renderPresetButtons();
+        
+        document.getElementById('quickActions')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-preset]');
+            if (!button) return;
+            this.addRippleEffect(button, e);
+            this.applyPreset(button.dataset.preset);
+        });
         
         // Ambient sound toggle
         this.setupActionButton('ambientToggle', this.toggleAmbientSounds.bind(this), 'Toggle ambient sounds');
+        this.setupAmbientVolume();
+        
+        // Shared links edited or pasted while the app is open
+        window.addEventListener('hashchange', () => {
+            const state = this.parseShareableState();
+            if (!state) return;
+            
+            const palettesChanged = this.applySharedPalettes(state.palettes, state.biometrics.mood ?? this.biometrics.mood);
+            if (palettesChanged || JSON.stringify(state.symmetry) !== JSON.stringify(this.symmetry)) {
+                this.symmetry = state.symmetry;
+                this.queueGeneration();
+            }
+            if (Object.keys(state.biometrics).length > 0) {
+                this.animateToNewValues(state.biometrics);
+            }
+        });
+        
+        // Modal dialog dismissal
+        document.getElementById('modalCloseBtn')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('modalOverlay')?.addEventListener('click', (e) => {
+            if (e.target.id === 'modalOverlay') this.closeModal();
+        });
     }
     
     setupBiometricControl(id, unit, callback) {
@@ -365,13 +490,7 @@ class BiometricMandalaGenerator {
             const value = e.target.value;
             
             // Update display immediately for responsiveness
-            if (id === 'steps') {
-                valueDisplay.textContent = parseInt(value).toLocaleString();
-            } else if (id === 'sleepHours') {
-                valueDisplay.textContent = parseFloat(value).toFixed(1);
-            } else {
-                valueDisplay.textContent = value;
-            }
+            valueDisplay.textContent = this.formatBiometricValue(id, value);
             
             // Update biometric data and effects
             debouncedCallback(value);
@@ -419,7 +538,7 @@ class BiometricMandalaGenerator {
                 this.announce(`${description} completed`);
             } catch (error) {
                 console.error(`Error executing ${id}:`, error);
-                this.showToast(`Error: ${error.message}`, 'error');
+                this.showToast(`Error: ${this.escapeHTML(error.message)}`, 'error');
             } finally {
                 // Re-enable button
                 setTimeout(() => {
@@ -460,6 +579,19 @@ class BiometricMandalaGenerator {
                     pointBorderWidth: 2,
                     pointRadius: 4,
                     pointHoverRadius: 6
+                }, {
+                    // Second state while comparing; see updateChart
+                    label: 'After',
+                    data: [],
+                    hidden: true,
+                    backgroundColor: 'rgba(255, 107, 107, 0.15)',
+                    borderColor: 'rgba(255, 107, 107, 0.8)',
+                    borderWidth: 2,
+                    pointBackgroundColor: 'rgba(78, 205, 196, 0.9)',
+                    pointBorderColor: '#ffffff',
+                    pointBorderWidth: 2,
+                    pointRadius: 4,
+                    pointHoverRadius: 6
                 }]
             },
             options: {
@@ -467,7 +599,11 @@ class BiometricMandalaGenerator {
                 maintainAspectRatio: false,
                 plugins: {
                     legend: {
-                        display: false
+                        display: false,
+                        labels: {
+                            color: 'rgba(255, 255, 255, 0.8)',
+                            boxWidth: 12
+                        }
                     },
                     tooltip: {
                         backgroundColor: 'rgba(0, 0, 0, 0.8)',
@@ -511,14 +647,14 @@ class BiometricMandalaGenerator {
         });
     }
     
-    getBiometricChartData() {
+    getBiometricChartData(biometrics = this.biometrics) {
         return [
-            Math.min(100, (this.biometrics.heartRate / 200) * 100), // Heart Rate (normalized)
-            Math.min(100, (this.biometrics.sleepHours / 12) * 100), // Sleep Quality
-            Math.min(100, (this.biometrics.steps / 20000) * 100),   // Activity Level
-            this.biometrics.mood * 10,                              // Mood
-            this.biometrics.energy * 10,                            // Energy
-            (11 - this.biometrics.stress) * 10                      // Calmness (inverted stress)
+            Math.min(100, (biometrics.heartRate / 200) * 100), // Heart Rate (normalized)
+            Math.min(100, (biometrics.sleepHours / 12) * 100), // Sleep Quality
+            Math.min(100, (biometrics.steps / 20000) * 100),   // Activity Level
+            biometrics.mood * 10,                              // Mood
+            biometrics.energy * 10,                            // Energy
+            (11 - biometrics.stress) * 10                      // Calmness (inverted stress)
         ];
     }
     
@@ -555,7 +691,7 @@ class BiometricMandalaGenerator {
         particle.style.opacity = opacity;
         
         // Color based on current mood
-        const currentPalette = this.colorPalettes[this.biometrics.mood];
+        const currentPalette = this.getPalette();
         const color = currentPalette.colors[index % currentPalette.colors.length];
         particle.style.background = color;
         
@@ -588,6 +724,22 @@ class BiometricMandalaGenerator {
     
     setupKeyboardShortcuts() {
         document.addEventListener('keydown', (e) => {
+            // Dialogs swallow shortcuts; Escape closes them
+            if (this.isModalOpen()) {
+                if (e.key === 'Escape') this.closeModal();
+                return;
+            }
+            
+            if (e.key === 'Escape' && this.breathingSession.patternId) {
+                this.stopBreathingSession();
+                return;
+            }
+            
+            if (e.key === 'Escape' && this.comparison.before) {
+                this.stopComparison();
+                return;
+            }
+            
             // Only process shortcuts when not in input fields
             if (e.target.tagName === 'INPUT' || e.target.tagName === 'BUTTON') return;
             
@@ -598,7 +750,11 @@ class BiometricMandalaGenerator {
                     break;
                 case ' ':
                     e.preventDefault();
-                    this.toggleAnimation();
+                    if (this.timeline.samples.length > 0) {
+                        this.toggleTimelinePlayback();
+                    } else {
+                        this.toggleAnimation();
+                    }
                     break;
                 case 'f':
                     e.preventDefault();
@@ -610,7 +766,7 @@ class BiometricMandalaGenerator {
                     break;
                 case 'e':
                     e.preventDefault();
-                    this.exportMandala();
+                    this.showExportDialog();
                     break;
                 case 'm':
                     e.preventDefault();
@@ -794,37 +950,21 @@ class BiometricMandalaGenerator {
             
             // Calculate mandala parameters
             const center = paper.view.center;
-            const maxRadius = Math.min(paper.view.size.width, paper.view.size.height) * 0.35;
+            const { baseRadius, palette, complexity, patternStyle } =
+                this.calculateMandalaParameters(paper.view.size.width, paper.view.size.height);
             
-            if (!center || maxRadius <= 0) {
+            if (!center) {
                 throw new Error('Invalid canvas dimensions');
             }
             
-            // Dynamic sizing based on steps
-            const activityLevel = Math.max(0.4, Math.min(1.2, this.biometrics.steps / 15000));
-            const baseRadius = maxRadius * activityLevel;
-            
-            // Get current mood palette
-            const palette = this.colorPalettes[this.biometrics.mood];
-            if (!palette || !palette.colors) {
-                throw new Error('Invalid color palette');
-            }
-            
-            // Calculate complexity based on sleep quality
-            const complexity = Math.max(3, Math.min(12, Math.floor(this.biometrics.sleepHours * 1.5) + 2));
             this.complexityScore = complexity;
             
-            // Determine pattern style based on stress
-            const stressLevel = this.biometrics.stress;
-            let patternStyle;
-            if (stressLevel <= 3) patternStyle = 'calm';
-            else if (stressLevel <= 6) patternStyle = 'moderate';
-            else patternStyle = 'intense';
+            const scene = this.getLiveScene();
             
             // Generate mandala layers with error handling
             for (let layer = 0; layer < complexity; layer++) {
                 try {
-                    await this.createSafeMandalaLayer(center, baseRadius, layer, complexity, palette, patternStyle);
+                    this.core.createLayer(scene, this.biometrics, center, baseRadius, layer, complexity, palette, patternStyle, this.symmetry);
                     
                     // Yield control to prevent blocking
                     if (layer % 3 === 0) {
@@ -837,13 +977,24 @@ class BiometricMandalaGenerator {
             }
             
             // Create central focal point
-            this.createSafeCentralElement(center, palette, baseRadius);
+            this.core.createCentralElement(scene, this.biometrics, center, palette, baseRadius);
             
             // Add energy-based effects
-            this.addSafeEnergyEffects(center, baseRadius, palette);
+            this.core.addEnergyEffects(scene, this.biometrics, center, baseRadius, palette);
             
             // Update counters
             this.patternCount++;
+            this.saveLocalSetting('patternCount', this.patternCount);
+            
+            // Remember this mandala in the journal (never blocks rendering)
+            this.recordJournalEntry({ palette, patternStyle, complexity });
+            
+            this.emit('generated', {
+                biometrics: { ...this.biometrics },
+                paletteName: palette.name,
+                patternStyle,
+                complexity
+            });
             
             // Trigger initial animation
             this.animateMandalaBirth();
@@ -857,252 +1008,199 @@ class BiometricMandalaGenerator {
         }
     }
     
-    async createSafeMandalaLayer(center, baseRadius, layer, totalLayers, palette, patternStyle) {
-        try {
-            const layerRadius = baseRadius * (1 - (layer / totalLayers) * 0.6);
-            const colorIndex = layer % palette.colors.length;
-            const color = palette.colors[colorIndex];
-            
-            // Dynamic element count based on biometrics
-            const heartRateInfluence = Math.max(6, Math.floor(this.biometrics.heartRate / 12));
-            const elementsCount = Math.min(24, heartRateInfluence + layer); // Limit elements for performance
-            
-            // Create layer group
-            const layerGroup = new paper.Group();
-            
-            // Generate elements based on pattern style
-            for (let i = 0; i < elementsCount; i++) {
-                try {
-                    const angle = (360 / elementsCount * i) * Math.PI / 180;
-                    const x = center.x + Math.cos(angle) * layerRadius;
-                    const y = center.y + Math.sin(angle) * layerRadius;
-                    
-                    let element;
-                    switch (patternStyle) {
-                        case 'calm':
-                            element = this.createSafeCalmElement(x, y, layerRadius, color, angle, layer);
-                            break;
-                        case 'moderate':
-                            element = this.createSafeModerateElement(x, y, layerRadius, color, angle, layer);
-                            break;
-                        case 'intense':
-                            element = this.createSafeIntenseElement(x, y, layerRadius, color, angle, layer);
-                            break;
-                        default:
-                            element = this.createSafeCalmElement(x, y, layerRadius, color, angle, layer);
-                    }
-                    
-                    if (element) {
-                        layerGroup.addChild(element);
-                        this.animationGroup.addChild(element);
-                        
-                        // Safe micro-animation
-                        if (!this.capabilities.reducedMotion) {
-                            element.opacity = 0;
-                            anime({
-                                targets: element,
-                                opacity: [0, 0.8],
-                                scale: [0, 1],
-                                duration: 300,
-                                delay: i * 20,
-                                easing: 'easeOutBack'
-                            });
-                        }
-                    }
-                } catch (elementError) {
-                    console.warn(`Error creating element ${i} in layer ${layer}:`, elementError);
-                    // Continue with other elements
+    calculateMandalaParameters(width, height) {
+        return this.core.calculateMandalaParameters(this.biometrics, width, height, this.getPalette());
+    }
+    
+    getLiveScene() {
+        // Everything the core places on screen also joins the animation group and fades in
+        const animate = !this.capabilities.reducedMotion;
+        return {
+            mandalaGroup: this.mandalaGroup,
+            effectsLayer: this.effectsLayer,
+            onItem: (item, { type, index = 0 }) => {
+                this.animationGroup.addChild(item);
+                if (!animate) return;
+                
+                if (type === 'element') {
+                    item.opacity = 0;
+                    anime({
+                        targets: item,
+                        opacity: [0, 0.8],
+                        scale: [0, 1],
+                        duration: 300,
+                        delay: index * 20,
+                        easing: 'easeOutBack'
+                    });
+                } else if (type === 'aura') {
+                    // Pulsing animation for high energy
+                    anime({
+                        targets: item,
+                        opacity: [0.3, 0.7, 0.3],
+                        scale: [1, 1.05, 1],
+                        duration: 2000,
+                        easing: 'easeInOutSine',
+                        loop: true
+                    });
                 }
             }
-            
-            this.mandalaGroup.addChild(layerGroup);
-            
-        } catch (error) {
-            console.error('Error creating mandala layer:', error);
-            throw error;
-        }
+        };
     }
     
-    createSafeCalmElement(x, y, radius, color, angle, layer) {
-        try {
-            const energyMultiplier = this.biometrics.energy / 10;
-            const size = Math.max(2, (radius * 0.03 + layer * 0.005) * energyMultiplier);
-            
-            // Create simple circle with safe color handling
-            const element = new paper.Path.Circle(new paper.Point(x, y), size);
-            
-            // Safe color assignment
-            try {
-                element.fillColor = new paper.Color(color);
-                element.strokeColor = new paper.Color(color).lighten(0.3);
-            } catch (colorError) {
-                // Fallback to basic colors
-                element.fillColor = '#4ecdc4';
-                element.strokeColor = '#ffffff';
-            }
-            
-            element.strokeWidth = 1;
-            element.opacity = Math.max(0.3, 0.7 + (layer * 0.02));
-            
-            return element;
-        } catch (error) {
-            console.error('Error creating calm element:', error);
-            return null;
-        }
+    // Extension point for element generators shipped as separate scripts; see README.md
+    registerPatternStyle(name, definition = {}) {
+        this.core.registerPatternStyle(name, definition);
+        this.refreshPatternStyles();
+        return () => this.unregisterPatternStyle(name);
     }
     
-    createSafeModerateElement(x, y, radius, color, angle, layer) {
-        try {
-            const energyMultiplier = this.biometrics.energy / 10;
-            const size = Math.max(2, (radius * 0.04 + layer * 0.008) * energyMultiplier);
-            
-            // Create geometric shape
-            const sides = Math.max(3, Math.min(8, 4 + Math.floor(layer / 2)));
-            const element = new paper.Path.RegularPolygon(new paper.Point(x, y), sides, size);
-            
-            // Safe color assignment
-            try {
-                element.fillColor = new paper.Color(color);
-                element.strokeColor = '#ffffff';
-            } catch (colorError) {
-                element.fillColor = '#ff6b6b';
-                element.strokeColor = '#ffffff';
-            }
-            
-            element.strokeWidth = 1.5;
-            element.opacity = Math.max(0.3, 0.6 + (layer * 0.03));
-            element.rotate(angle * 180 / Math.PI + layer * 15);
-            
-            return element;
-        } catch (error) {
-            console.error('Error creating moderate element:', error);
-            return null;
-        }
+    unregisterPatternStyle(name) {
+        const removed = this.core.unregisterPatternStyle(name);
+        if (removed) this.refreshPatternStyles();
+        return removed;
     }
     
-    createSafeIntenseElement(x, y, radius, color, angle, layer) {
-        try {
-            const energyMultiplier = this.biometrics.energy / 10;
-            const size = Math.max(2, (radius * 0.05 + layer * 0.01) * energyMultiplier);
-            
-            // Create star shape
-            const spikes = Math.max(5, Math.min(12, 6 + layer));
-            const element = new paper.Path.Star(new paper.Point(x, y), spikes, size * 0.4, size);
-            
-            // Safe color assignment
-            try {
-                element.fillColor = new paper.Color(color);
-                element.strokeColor = new paper.Color(color).lighten(0.5);
-            } catch (colorError) {
-                element.fillColor = '#45b7d1';
-                element.strokeColor = '#ffffff';
-            }
-            
-            element.strokeWidth = 2;
-            element.opacity = Math.max(0.3, 0.5 + (layer * 0.04));
-            element.rotate(angle * 180 / Math.PI + layer * 30);
-            
-            // Safe scaling
-            const stressScale = 1 + (this.biometrics.stress / 30);
-            element.scale(stressScale);
-            
-            return element;
-        } catch (error) {
-            console.error('Error creating intense element:', error);
-            return null;
-        }
+    mapPatternBand(band, styleNames) {
+        // Replaces a stress band's whole rotation, e.g. mapPatternBand('intense', ['spike', 'petal'])
+        this.core.mapPatternBand(band, styleNames);
+        this.refreshPatternStyles();
     }
     
-    createSafeCentralElement(center, palette, baseRadius) {
-        try {
-            const centralSize = Math.max(10, 15 + (this.biometrics.mood * 2) + (this.biometrics.energy));
-            
-            // Create simple central element group
-            const centralGroup = new paper.Group();
-            
-            // Outer ring
-            const outerRing = new paper.Path.Circle(center, centralSize * 1.5);
-            try {
-                outerRing.strokeColor = new paper.Color(palette.colors[0]);
-            } catch (colorError) {
-                outerRing.strokeColor = '#4ecdc4';
-            }
-            outerRing.strokeWidth = 3;
-            outerRing.opacity = 0.6;
-            centralGroup.addChild(outerRing);
-            
-            // Main center
-            const centralElement = new paper.Path.Circle(center, centralSize);
-            try {
-                centralElement.fillColor = new paper.Color(palette.colors[0]);
-                centralElement.strokeColor = '#ffffff';
-            } catch (colorError) {
-                centralElement.fillColor = '#4ecdc4';
-                centralElement.strokeColor = '#ffffff';
-            }
-            centralElement.strokeWidth = 2;
-            centralGroup.addChild(centralElement);
-            
-            // Inner core
-            const innerCore = new paper.Path.Circle(center, centralSize * 0.4);
-            try {
-                innerCore.fillColor = new paper.Color(palette.colors[palette.colors.length - 1]).lighten(0.3);
-            } catch (colorError) {
-                innerCore.fillColor = '#ffffff';
-            }
-            innerCore.opacity = 0.8;
-            centralGroup.addChild(innerCore);
-            
-            this.mandalaGroup.addChild(centralGroup);
-            this.animationGroup.addChild(centralGroup);
-            
-        } catch (error) {
-            console.error('Error creating central element:', error);
-            // Create basic fallback central element
-            const fallbackCenter = new paper.Path.Circle(center, 20);
-            fallbackCenter.fillColor = '#4ecdc4';
-            fallbackCenter.strokeColor = '#ffffff';
-            fallbackCenter.strokeWidth = 2;
-            this.mandalaGroup.addChild(fallbackCenter);
-        }
+    getPatternCandidates(band, biometrics = this.biometrics) {
+        return this.core.getPatternCandidates(band, biometrics);
     }
     
-    addSafeEnergyEffects(center, radius, palette) {
-        try {
-            if (this.biometrics.energy < 6) return;
-            
-            // Add simple energy aura for high energy levels
-            const auraRadius = radius * 1.2;
-            const aura = new paper.Path.Circle(center, auraRadius);
+    refreshPatternStyles() {
+        // Styles registered from mandala:ready are picked up by the intro mandala, which hasn't started yet
+        if (this.firstGenerationStarted) this.queueGeneration();
+    }
+    
+    showSymmetryDialog() {
+        const saved = { ...this.symmetry };
+        const { min, max } = this.core.symmetryRange;
+        let applied = false;
+        
+        const mode = saved.driver ? 'driven' : saved.order ? 'fixed' : 'classic';
+        const driverOptions = Object.entries(this.core.biometricLabels)
+            .map(([key, label]) => `<option value="${key}" ${key === (saved.driver || 'heartRate') ? 'selected' : ''}>${label}</option>`)
+            .join('');
+        
+        const readSymmetry = (body) => {
+            const chosen = body.querySelector('input[name="symmetryMode"]:checked').value;
+            return this.core.normalizeSymmetry({
+                order: chosen === 'fixed' ? parseInt(body.querySelector('#symmetryOrder').value) : null,
+                driver: chosen === 'driven' ? body.querySelector('#symmetryDriver').value : null,
+                mirror: body.querySelector('#symmetryMirror').checked,
+                offset: parseInt(body.querySelector('#symmetryOffset').value) / 100,
+                twist: parseInt(body.querySelector('#symmetryTwist').value)
+            });
+        };
+        
+        const updatePreview = (body) => {
+            // Preview on the live mandala; Cancel puts the saved settings back
+            const draft = readSymmetry(body);
+            const folds = this.core.getFoldCount(this.biometrics, draft, 0);
+            body.querySelector('#symmetryOrderValue').textContent = draft.order ?? folds;
+            body.querySelector('#symmetryOffsetValue').textContent = `${Math.round(draft.offset * 100)}%`;
+            body.querySelector('#symmetryTwistValue').textContent = `${draft.twist}°`;
+            body.querySelector('#symmetryOrder').disabled = !draft.order;
+            body.querySelector('#symmetryDriver').disabled = !draft.driver;
+            body.querySelector('#symmetrySummary').textContent = draft.order || draft.driver
+                ? `${folds}-fold${draft.mirror ? ', mirrored' : ''} (${draft.mirror ? folds * 2 : folds} elements per layer)`
+                : `Classic rings${draft.mirror ? ', mirrored' : ''}`;
             
-            try {
-                aura.strokeColor = new paper.Color(palette.colors[0]).lighten(0.4);
-            } catch (colorError) {
-                aura.strokeColor = '#4ecdc4';
+            if (JSON.stringify(draft) !== JSON.stringify(this.symmetry)) {
+                this.symmetry = draft;
+                this.queueGeneration();
             }
-            
-            aura.strokeWidth = 2;
-            aura.opacity = 0.3;
-            aura.dashArray = [5, 5];
-            
-            this.effectsLayer.addChild(aura);
-            this.animationGroup.addChild(aura);
-            
-            // Safe pulsing animation for high energy
-            if (!this.capabilities.reducedMotion) {
-                anime({
-                    targets: aura,
-                    opacity: [0.3, 0.7, 0.3],
-                    scale: [1, 1.05, 1],
-                    duration: 2000,
-                    easing: 'easeInOutSine',
-                    loop: true
-                });
+        };
+        
+        const body = this.openModal('Symmetry', `
+            <fieldset class="modal-field">
+                <legend>Rotational symmetry</legend>
+                <label class="modal-option">
+                    <input type="radio" name="symmetryMode" value="classic" ${mode === 'classic' ? 'checked' : ''}>
+                    <span>Classic rings (element count follows heart rate)</span>
+                </label>
+                <label class="modal-option">
+                    <input type="radio" name="symmetryMode" value="fixed" ${mode === 'fixed' ? 'checked' : ''}>
+                    <span>Fixed fold count</span>
+                </label>
+                <label class="modal-option">
+                    <input type="radio" name="symmetryMode" value="driven" ${mode === 'driven' ? 'checked' : ''}>
+                    <span>Fold count driven by a biometric</span>
+                </label>
+                <div class="mapping-grid">
+                    <label class="mapping-row weight-row">
+                        <span>Folds</span>
+                        <input type="range" id="symmetryOrder" min="${min}" max="${max}" step="1" value="${saved.order || 8}">
+                        <output id="symmetryOrderValue"></output>
+                    </label>
+                    <label class="mapping-row">
+                        <span>Driven by</span>
+                        <select class="modal-select" id="symmetryDriver">${driverOptions}</select>
+                    </label>
+                </div>
+            </fieldset>
+            <fieldset class="modal-field">
+                <legend>Kaleidoscope</legend>
+                <label class="modal-option">
+                    <input type="checkbox" id="symmetryMirror" ${saved.mirror ? 'checked' : ''}>
+                    <span>Mirror each fold (dihedral symmetry)</span>
+                </label>
+                <div class="mapping-grid">
+                    <label class="mapping-row weight-row">
+                        <span>Layer offset</span>
+                        <input type="range" id="symmetryOffset" min="0" max="100" step="5" value="${Math.round(saved.offset * 100)}">
+                        <output id="symmetryOffsetValue"></output>
+                    </label>
+                    <label class="mapping-row weight-row">
+                        <span>Twist per layer</span>
+                        <input type="range" id="symmetryTwist" min="-45" max="45" step="1" value="${saved.twist}">
+                        <output id="symmetryTwistValue"></output>
+                    </label>
+                </div>
+                <p class="modal-hint">Offset staggers every other layer by part of a fold. Twist turns each layer a little further, for spiral arms.</p>
+            </fieldset>
+            <p class="modal-hint">Current biometrics: <strong id="symmetrySummary"></strong></p>
+        `, [
+            {
+                label: 'Defaults',
+                icon: 'undo',
+                onClick: (body) => {
+                    const defaults = this.core.defaultSymmetry;
+                    body.querySelector('input[name="symmetryMode"][value="classic"]').checked = true;
+                    body.querySelector('#symmetryMirror').checked = defaults.mirror;
+                    body.querySelector('#symmetryOffset').value = defaults.offset * 100;
+                    body.querySelector('#symmetryTwist').value = defaults.twist;
+                    updatePreview(body);
+                }
+            },
+            { label: 'Cancel', icon: 'times', onClick: () => this.closeModal() },
+            {
+                label: 'Apply',
+                icon: 'check',
+                variant: 'primary',
+                onClick: (body) => {
+                    applied = true;
+                    this.setSymmetry(readSymmetry(body));
+                    this.closeModal();
+                    this.showToast('Symmetry updated', 'success');
+                }
             }
-        } catch (error) {
-            console.error('Error adding energy effects:', error);
-            // Skip energy effects if they fail
-        }
+        ], {
+            className: 'modal-preview',
+            onClose: () => {
+                if (applied || JSON.stringify(saved) === JSON.stringify(this.symmetry)) return;
+                this.symmetry = saved;
+                this.queueGeneration();
+            }
+        });
+        if (!body) return;
+        
+        body.addEventListener('input', () => updatePreview(body));
+        body.addEventListener('change', () => updatePreview(body));
+        updatePreview(body);
     }
     
     createFallbackMandala() {
@@ -1342,6 +1440,9 @@ class BiometricMandalaGenerator {
             }
             if (this.animationGroup) {
                 this.animationGroup.removeChildren();
+                this.colorTweenKey = null;
+                // New elements are drawn at full size around the current centre
+                this.animationGroup.matrix.reset();
             }
             if (this.effectsLayer) {
                 this.effectsLayer.removeChildren();
@@ -1381,7 +1482,6 @@ class BiometricMandalaGenerator {
                     
                     // Dynamic rotation based on heart rate and energy
                     const baseRotationSpeed = (this.biometrics.heartRate / 3000) * (this.biometrics.energy / 10);
-                    const breathingRate = 1000 + (this.biometrics.stress * 100);
                     
                     // Animate mandala elements safely
                     if (this.animationGroup.children && this.animationGroup.children.length > 0) {
@@ -1398,21 +1498,8 @@ class BiometricMandalaGenerator {
                         });
                     }
                     
-                    // Safe breathing effect based on stress (inverted)
-                    if (this.mandalaGroup && typeof this.mandalaGroup.scaling !== 'undefined') {
-                        try {
-                            const breathingIntensity = 1 + (0.01 * (11 - this.biometrics.stress));
-                            const breathingPhase = Math.sin(currentTime / breathingRate) * 0.02;
-                            const newScale = breathingIntensity + breathingPhase;
-                            
-                            // Ensure scaling is within reasonable bounds
-                            if (newScale > 0.5 && newScale < 2.0) {
-                                this.mandalaGroup.scaling = newScale;
-                            }
-                        } catch (scalingError) {
-                            // Skip breathing effect if it fails
-                        }
-                    }
+                    // A guided session breathes from its own tick, which keeps going when this loop is paused or throttled
+                    if (!this.breathingSession.patternId) this.applyBreathingScale(currentTime);
                     
                     // Safe energy pulse effects
                     if (this.biometrics.energy > 7 && this.effectsLayer && this.effectsLayer.children) {
@@ -1449,6 +1536,41 @@ class BiometricMandalaGenerator {
         this.animationFrame = requestAnimationFrame(animate);
     }
     
+    applyBreathingScale(currentTime) {
+        // The elements live in animationGroup; mandalaGroup only keeps the empty layer groups
+        if (!this.animationGroup || !paper.view) return false;
+        
+        try {
+            // Breathing effect based on stress (inverted); a guided session takes over with a much deeper, pattern-timed breath
+            const newScale = this.breathingSession.patternId
+                ? 0.85 + this.getBreathingSessionState(currentTime).level * 0.3
+                : 1 + (0.01 * (11 - this.biometrics.stress)) + Math.sin(currentTime / this.getBreathingRate()) * 0.02;
+            
+            // Ensure scaling is within reasonable bounds
+            if (newScale <= 0.5 || newScale >= 2.0) return false;
+            
+            // Scale around the canvas centre so rotating layers don't drag the mandala off-centre
+            const current = this.animationGroup.scaling.x;
+            if (current > 0 && Math.abs(newScale - current) > 0.0001) {
+                this.animationGroup.scale(newScale / current, paper.view.center);
+            }
+            return true;
+        } catch (scalingError) {
+            // Skip breathing effect if it fails
+            return false;
+        }
+    }
+    
+    getBreathingRate() {
+        // Divisor applied to the frame time in the breathing sine wave
+        return 1000 + (this.biometrics.stress * 100);
+    }
+    
+    getBreathingCycleDuration() {
+        // One full period of sin(t / rate), in milliseconds
+        return 2 * Math.PI * this.getBreathingRate();
+    }
+    
     updateFrameRate(currentTime) {
         this.frameCount++;
         
@@ -1481,37 +1603,21 @@ class BiometricMandalaGenerator {
         
         // Smooth color transitions for existing elements
         this.updateMandalaColors();
+        
+        // Keep the address bar shareable
+        this.scheduleShareableURLUpdate();
     }
     
     updateMandalaColors() {
         try {
-            const palette = this.colorPalettes[this.biometrics.mood];
+            const palette = this.getPalette();
             
-            if (!this.mandalaGroup || !this.mandalaGroup.children || !palette) return;
-            
-            this.mandalaGroup.children.forEach((layer, layerIndex) => {
-                if (layer && layer.children) {
-                    const colorIndex = layerIndex % palette.colors.length;
-                    const targetColor = palette.colors[colorIndex];
-                    
-                    layer.children.forEach(element => {
-                        if (element && element.fillColor) {
-                            try {
-                                if (!this.capabilities.reducedMotion) {
-                                    // Simple color transition without complex animation
-                                    element.fillColor = new paper.Color(targetColor);
-                                } else {
-                                    // Immediate color change for reduced motion
-                                    element.fillColor = new paper.Color(targetColor);
-                                }
-                            } catch (colorError) {
-                                // Fallback to string color assignment
-                                element.fillColor = targetColor;
-                            }
-                        }
-                    });
-                }
-            });
+            // Live streams and replays call this every frame; only a palette change starts a new tween
+            const paletteKey = palette.colors.join();
+            if (paletteKey !== this.colorTweenKey) {
+                this.colorTweenKey = paletteKey;
+                this.tweenMandalaColors(palette);
+            }
             
             // Update particle colors as well
             this.updateParticleColors();
@@ -1521,9 +1627,95 @@ class BiometricMandalaGenerator {
         }
     }
     
+    tweenMandalaColors(palette) {
+        // Tween every element from its current colors towards the new palette in OKLab;
+        // a new call (e.g. each step of a slider animation) retargets from wherever it is
+        const tweens = this.getPaletteElements().flatMap(element => {
+            const target = this.core.rgbToOklab(this.core.hexToRgb(palette.colors[element.data.paletteLayer % palette.colors.length]));
+            
+            // Only the fill/outline the core drew in the layer color, so a recolor matches a fresh mandala
+            return (element.data.paletteProperties || []).map(property => {
+                const current = element[property];
+                if (!current) return null;
+                
+                return {
+                    element,
+                    property,
+                    alpha: current.alpha,
+                    from: this.core.rgbToOklab([current.red, current.green, current.blue]),
+                    to: target
+                };
+            });
+        }).filter(Boolean);
+        
+        if (this.colorTween) this.colorTween.pause();
+        if (tweens.length === 0) return;
+        
+        // Color fades aren't motion, so reduced motion only shortens them
+        const progress = { value: 0 };
+        this.colorTween = anime({
+            targets: progress,
+            value: 1,
+            duration: this.capabilities.reducedMotion ? 250 : 800,
+            easing: 'easeInOutQuad',
+            update: () => {
+                const t = progress.value;
+                tweens.forEach(({ element, property, alpha, from, to }) => {
+                    const [r, g, b] = this.core.oklabToRgb(from.map((value, i) => value + (to[i] - value) * t));
+                    element[property] = new paper.Color(r, g, b, alpha);
+                });
+            }
+        });
+    }
+    
+    getPaletteElements() {
+        // Layer elements are reparented into animationGroup after creation, so look in both places
+        const containers = [this.animationGroup, ...(this.mandalaGroup?.children || [])];
+        return containers
+            .flatMap(container => container?.children || [])
+            .filter(item => item.data?.paletteLayer !== undefined);
+    }
+    
+    getPalette(mood = this.biometrics.mood) {
+        // The palette editor shows the palette being edited regardless of mood
+        if (this.palettePreview) return this.palettePreview;
+        
+        // Fractional moods (slider tweens, live data, replays) blend the two neighbouring palettes
+        const clamped = Math.max(1, Math.min(10, Number(mood) || 1));
+        const lower = Math.floor(clamped);
+        const t = Math.round((clamped - lower) * 100) / 100;
+        
+        if (t === 0) return this.getLevelPalette(lower);
+        if (t === 1) return this.getLevelPalette(lower + 1);
+        
+        // Blends with a shared palette are kept apart from the core's cache, which journal snapshots use too
+        const hasShared = this.sharedPalettes[lower] || this.sharedPalettes[lower + 1];
+        const cache = hasShared ? this.sharedPaletteCache : this.core.paletteCache;
+        const key = lower + t;
+        if (!cache.has(key)) {
+            const from = this.getLevelPalette(lower);
+            const to = this.getLevelPalette(lower + 1);
+            const count = Math.max(from.colors.length, to.colors.length);
+            const nearest = t < 0.5 ? from : to;
+            
+            cache.set(key, {
+                name: nearest.name,
+                emotion: nearest.emotion,
+                colors: Array.from({ length: count }, (_, i) =>
+                    this.core.mixColors(from.colors[i % from.colors.length], to.colors[i % to.colors.length], t))
+            });
+        }
+        
+        return cache.get(key);
+    }
+    
+    getLevelPalette(level) {
+        return this.sharedPalettes[level] || this.core.colorPalettes[level];
+    }
+    
     updateParticleColors() {
         const particles = document.querySelectorAll('.particle');
-        const palette = this.colorPalettes[this.biometrics.mood];
+        const palette = this.getPalette();
         
         particles.forEach((particle, index) => {
             const color = palette.colors[index % palette.colors.length];
@@ -1563,17 +1755,40 @@ class BiometricMandalaGenerator {
         this.updatePatternType();
         this.updateStatistics();
         this.updateBiometricEffects();
+        this.updateAmbientSound();
+        
+        // Every path that changes biometrics (sliders, presets, live, timeline) ends up here
+        const signature = JSON.stringify(this.biometrics);
+        if (signature !== this.lastEmitted.biometrics) {
+            this.lastEmitted.biometrics = signature;
+            this.emit('biometricsChanged', { biometrics: { ...this.biometrics } });
+        }
     }
     
     updateChart() {
         if (!this.chart) return;
         
-        this.chart.data.datasets[0].data = this.getBiometricChartData();
+        // While comparing, the chart overlays both states instead of following the sliders
+        const { before, after } = this.comparison;
+        const [primary, overlay] = this.chart.data.datasets;
+        
+        primary.label = before ? 'Before' : 'Current Biometrics';
+        primary.data = this.getBiometricChartData(before ? before.biometrics : this.biometrics);
+        overlay.data = after ? this.getBiometricChartData(after.biometrics) : [];
+        overlay.hidden = !after;
+        this.chart.options.plugins.legend.display = !!after;
+        
         this.chart.update(this.capabilities.reducedMotion ? 'none' : 'default');
     }
     
     updateWellnessScore() {
-        const score = this.calculateWellnessScore();
+        const breakdown = this.calculateWellnessBreakdown();
+        const score = breakdown.score;
+        
+        if (score !== this.lastEmitted.wellnessScore) {
+            this.emit('wellnessScoreChanged', { score, previous: this.lastEmitted.wellnessScore, metrics: breakdown.metrics });
+            this.lastEmitted.wellnessScore = score;
+        }
         const scoreElement = document.getElementById('wellnessScore');
         const progressElement = document.getElementById('wellnessProgress');
         
@@ -1592,62 +1807,189 @@ class BiometricMandalaGenerator {
         if (progressElement) {
             progressElement.style.width = score + '%';
         }
+        
+        this.renderWellnessBreakdown(breakdown);
     }
     
-    calculateWellnessScore() {
-        // Advanced wellness calculation with weighted factors
-        const weights = {
-            heartRate: 0.15,
-            sleep: 0.25,
-            steps: 0.15,
-            mood: 0.25,
-            energy: 0.10,
-            stress: 0.10
-        };
+    calculateWellnessScore(biometrics = this.biometrics) {
+        return this.calculateWellnessBreakdown(biometrics).score;
+    }
+    
+    calculateWellnessBreakdown(biometrics = this.biometrics, model = this.wellnessModel) {
+        return this.core.calculateWellnessBreakdown(biometrics, model);
+    }
+    
+    loadWellnessModel(saved = this.loadLocalSetting('wellnessModel', null)) {
+        const defaults = this.core.defaultWellnessModel;
+        const number = (value, fallback, min, max) =>
+            Number.isFinite(value) && value >= min && value <= max ? value : fallback;
         
-        const scores = {
-            heartRate: Math.max(0, 100 - Math.abs(this.biometrics.heartRate - 70) * 1.5),
-            sleep: Math.min(100, (this.biometrics.sleepHours / 9) * 100),
-            steps: Math.min(100, (this.biometrics.steps / 10000) * 100),
-            mood: this.biometrics.mood * 10,
-            energy: this.biometrics.energy * 10,
-            stress: (11 - this.biometrics.stress) * 10
+        return {
+            weights: Object.fromEntries(Object.entries(defaults.weights)
+                .map(([key, weight]) => [key, number(saved?.weights?.[key], weight, 0, 100)])),
+            age: number(saved?.age, null, 10, 110),
+            restingHeartRate: number(saved?.restingHeartRate, defaults.restingHeartRate, 35, 120),
+            sleepGoal: number(saved?.sleepGoal, defaults.sleepGoal, 4, 12),
+            stepGoal: number(saved?.stepGoal, defaults.stepGoal, 1000, 50000)
         };
+    }
+    
+    setupWellnessBreakdown() {
+        const toggle = document.getElementById('wellnessBreakdownBtn');
+        const panel = document.getElementById('wellnessBreakdown');
+        if (!toggle || !panel) return;
         
-        let weightedScore = 0;
-        for (const [metric, weight] of Object.entries(weights)) {
-            weightedScore += scores[metric] * weight;
-        }
+        toggle.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            toggle.setAttribute('aria-expanded', String(!panel.hidden));
+            if (!panel.hidden) this.renderWellnessBreakdown();
+        });
         
-        return Math.round(Math.max(0, Math.min(100, weightedScore)));
+        this.setupActionButton('wellnessSettingsBtn', this.showWellnessSettings.bind(this), 'Configure wellness score');
     }
     
-    updatePatternType() {
-        const score = this.calculateWellnessScore();
-        const palette = this.colorPalettes[this.biometrics.mood];
-        
-        const patternTypeElement = document.getElementById('patternType');
-        const patternSubtitleElement = document.getElementById('patternSubtitle');
+    renderWellnessBreakdown(breakdown = this.calculateWellnessBreakdown()) {
+        const panel = document.getElementById('wellnessBreakdown');
+        const rows = document.getElementById('wellnessBreakdownRows');
+        const total = document.getElementById('wellnessBreakdownTotal');
+        if (!panel || panel.hidden || !rows) return;
         
-        if (patternTypeElement) {
-            patternTypeElement.textContent = palette.name;
-        }
+        rows.innerHTML = breakdown.metrics.map(metric => `
+            <tr>
+                <th scope="row">${metric.label.replace(/ \(.*\)$/, '')}<small>${this.escapeHTML(metric.detail)}</small></th>
+                <td>
+                    <span class="breakdown-bar"><span style="width: ${metric.subScore}%"></span></span>
+                    ${Math.round(metric.subScore)}
+                </td>
+                <td>${Math.round(metric.weight * 100)}%</td>
+                <td>${metric.contribution.toFixed(1)}</td>
+            </tr>
+        `).join('');
         
-        if (patternSubtitleElement) {
-            const subtitles = [
-                'Seeking Inner Peace', 'Finding Balance', 'Gentle Flow',
-                'Harmonious Energy', 'Vibrant Wellness', 'Radiant Joy',
-                'Blissful Harmony', 'Transcendent State', 'Divine Unity', 'Perfect Resonance'
-            ];
-            const subtitleIndex = Math.min(9, Math.floor(score / 10));
-            patternSubtitleElement.textContent = subtitles[subtitleIndex];
-        }
+        if (total) total.textContent = breakdown.score;
     }
     
-    updateStatistics() {
-        const elements = {
-            patternCount: this.patternCount,
-            complexityScore: this.complexityScore
+    showWellnessSettings() {
+        const model = this.wellnessModel;
+        const weightRows = Object.entries(model.weights).map(([key, weight]) => `
+            <label class="mapping-row weight-row">
+                <span>${this.core.biometricLabels[key].replace(/ \(.*\)$/, '')}</span>
+                <input type="range" min="0" max="50" step="1" data-weight="${key}" value="${weight}">
+                <output data-weight-share="${key}"></output>
+            </label>
+        `).join('');
+        
+        const readModel = (body) => {
+            const value = (id) => body.querySelector(`#${id}`).value.trim();
+            return this.loadWellnessModel({
+                weights: Object.fromEntries([...body.querySelectorAll('[data-weight]')]
+                    .map(input => [input.dataset.weight, parseFloat(input.value)])),
+                age: value('wellnessAge') === '' ? null : parseFloat(value('wellnessAge')),
+                restingHeartRate: parseFloat(value('wellnessResting')),
+                sleepGoal: parseFloat(value('wellnessSleepGoal')),
+                stepGoal: parseFloat(value('wellnessStepGoal'))
+            });
+        };
+        
+        const fillForm = (body, values) => {
+            body.querySelectorAll('[data-weight]').forEach(input => {
+                input.value = values.weights[input.dataset.weight];
+            });
+            body.querySelector('#wellnessAge').value = values.age ?? '';
+            body.querySelector('#wellnessResting').value = values.restingHeartRate;
+            body.querySelector('#wellnessSleepGoal').value = values.sleepGoal;
+            body.querySelector('#wellnessStepGoal').value = values.stepGoal;
+        };
+        
+        const updatePreview = (body) => {
+            // Shares are the weights the score actually uses, which are the defaults when every slider is at 0
+            const breakdown = this.calculateWellnessBreakdown(this.biometrics, readModel(body));
+            breakdown.metrics.forEach(({ key, weight }) => {
+                const output = body.querySelector(`[data-weight-share="${key}"]`);
+                if (output) output.textContent = `${Math.round(weight * 100)}%`;
+            });
+            body.querySelector('#wellnessPreview').textContent = breakdown.score;
+        };
+        
+        const body = this.openModal('Wellness Score', `
+            <fieldset class="modal-field">
+                <legend>Weights</legend>
+                <div class="mapping-grid">${weightRows}</div>
+            </fieldset>
+            <fieldset class="modal-field">
+                <legend>Personal targets</legend>
+                <div class="modal-inline-fields">
+                    <label>Age <input type="number" id="wellnessAge" min="10" max="110" step="1" placeholder="off"></label>
+                    <label>Resting HR <input type="number" id="wellnessResting" min="35" max="120" step="1"></label>
+                    <label>Sleep goal (h) <input type="number" id="wellnessSleepGoal" min="4" max="12" step="0.5"></label>
+                    <label>Step goal <input type="number" id="wellnessStepGoal" min="1000" max="50000" step="500"></label>
+                </div>
+                <p class="modal-hint">With an age set, heart rates above your resting target are scored by training zone
+                    (maximum heart rate = 208 - 0.7 × age). Out-of-range values fall back to the defaults.</p>
+            </fieldset>
+            <p class="modal-hint">Current biometrics score <strong id="wellnessPreview"></strong> with these settings.</p>
+        `, [
+            {
+                label: 'Defaults',
+                icon: 'undo',
+                onClick: (body) => {
+                    fillForm(body, this.core.defaultWellnessModel);
+                    updatePreview(body);
+                }
+            },
+            { label: 'Cancel', icon: 'times', onClick: () => this.closeModal() },
+            {
+                label: 'Save',
+                icon: 'check',
+                variant: 'primary',
+                onClick: (body) => {
+                    const draft = readModel(body);
+                    if (!Object.values(draft.weights).some(weight => weight > 0)) {
+                        this.showToast('Give at least one metric a weight above 0', 'warning');
+                        return;
+                    }
+                    
+                    this.wellnessModel = draft;
+                    this.saveLocalSetting('wellnessModel', this.wellnessModel);
+                    this.closeModal();
+                    this.updateAllDisplays();
+                    this.showToast('Wellness scoring updated', 'success');
+                }
+            }
+        ]);
+        if (!body) return;
+        
+        fillForm(body, model);
+        body.addEventListener('input', () => updatePreview(body));
+        updatePreview(body);
+    }
+    
+    updatePatternType() {
+        const score = this.calculateWellnessScore();
+        const palette = this.getPalette();
+        
+        const patternTypeElement = document.getElementById('patternType');
+        const patternSubtitleElement = document.getElementById('patternSubtitle');
+        
+        if (patternTypeElement) {
+            patternTypeElement.textContent = palette.name;
+        }
+        
+        if (patternSubtitleElement) {
+            const subtitles = [
+                'Seeking Inner Peace', 'Finding Balance', 'Gentle Flow',
+                'Harmonious Energy', 'Vibrant Wellness', 'Radiant Joy',
+                'Blissful Harmony', 'Transcendent State', 'Divine Unity', 'Perfect Resonance'
+            ];
+            const subtitleIndex = Math.min(9, Math.floor(score / 10));
+            patternSubtitleElement.textContent = subtitles[subtitleIndex];
+        }
+    }
+    
+    updateStatistics() {
+        const elements = {
+            patternCount: this.patternCount,
+            complexityScore: this.complexityScore
         };
         
         for (const [id, value] of Object.entries(elements)) {
@@ -1666,7 +2008,7 @@ class BiometricMandalaGenerator {
     
     updateMoodIndicator() {
         const indicator = document.getElementById('moodIndicator');
-        const palette = this.colorPalettes[this.biometrics.mood];
+        const palette = this.getPalette();
         
         if (indicator) {
             const gradient = `linear-gradient(90deg, ${palette.colors.join(', ')})`;
@@ -1772,188 +2114,3436 @@ class BiometricMandalaGenerator {
             }
             this.announce('Animation paused');
         }
+        
+        this.emit('animationToggled', { isAnimating: this.isAnimating });
+    }
+    
+    showBreathingDialog(patternId = 'box', minutes = 5) {
+        const patternOptions = Object.entries(this.breathingPatterns).map(([id, pattern]) => `
+            <label class="modal-option">
+                <input type="radio" name="breathingPattern" value="${id}" ${id === patternId ? 'checked' : ''}>
+                <span>${pattern.name} (${pattern.summary})</span>
+            </label>
+        `).join('');
+        
+        this.openModal('Guided Breathing', `
+            <fieldset class="modal-field">
+                <legend>Pattern</legend>
+                ${patternOptions}
+            </fieldset>
+            <fieldset class="modal-field">
+                <legend>Session length</legend>
+                <div class="modal-inline-fields">
+                    <label>
+                        <input type="number" id="breathingMinutes" min="1" max="30" step="1" value="${minutes}">
+                        minutes
+                    </label>
+                </div>
+                <p class="modal-hint">Sessions are rounded to whole breathing cycles. Press Escape to stop early.</p>
+            </fieldset>
+        `, [
+            { label: 'Cancel', icon: 'times', onClick: () => this.closeModal() },
+            {
+                label: 'Begin',
+                icon: 'wind',
+                variant: 'primary',
+                onClick: (body) => {
+                    const pattern = body.querySelector('input[name="breathingPattern"]:checked').value;
+                    const length = parseFloat(body.querySelector('#breathingMinutes').value) || 5;
+                    this.closeModal();
+                    this.startBreathingSession(pattern, Math.max(1, Math.min(30, length)));
+                }
+            }
+        ]);
+    }
+    
+    getBreathingCycleLength(patternId) {
+        return this.breathingPatterns[patternId].phases.reduce((sum, [, seconds]) => sum + seconds, 0);
+    }
+    
+    startBreathingSession(patternId, minutes) {
+        const pattern = this.breathingPatterns[patternId];
+        if (!pattern) return;
+        
+        if (this.breathingSession.patternId) this.stopBreathingSession({ silent: true });
+        
+        const cycleLength = this.getBreathingCycleLength(patternId);
+        Object.assign(this.breathingSession, {
+            patternId,
+            startTime: performance.now(),
+            cycles: Math.max(1, Math.round((minutes * 60) / cycleLength)),
+            phaseKey: null,
+            biometrics: { ...this.biometrics },
+            wellnessScore: this.calculateWellnessScore()
+        });
+        
+        // The mandala is the breathing guide, so it has to be moving
+        if (!this.isAnimating) {
+            this.toggleAnimation();
+        }
+        
+        document.getElementById('breathingTitle').textContent = pattern.name;
+        document.getElementById('breathingOverlay').hidden = false;
+        this.breathingSession.frame = requestAnimationFrame(() => this.tickBreathingSession());
+    }
+    
+    getBreathingSessionState(now = performance.now()) {
+        const session = this.breathingSession;
+        const phases = this.breathingPatterns[session.patternId].phases;
+        const cycleLength = this.getBreathingCycleLength(session.patternId);
+        const elapsed = Math.max(0, (now - session.startTime) / 1000);
+        const cycle = Math.floor(elapsed / cycleLength);
+        
+        if (cycle >= session.cycles) {
+            return { finished: true, elapsed: session.cycles * cycleLength, cycle: session.cycles, level: 0 };
+        }
+        
+        // Walk the phases, carrying the lung "level" (0 empty, 1 full) through holds
+        let time = elapsed - cycle * cycleLength;
+        let level = 0;
+        for (let index = 0; index < phases.length; index++) {
+            const [phase, seconds] = phases[index];
+            if (time < seconds || index === phases.length - 1) {
+                const progress = Math.min(1, time / seconds);
+                const eased = (1 - Math.cos(Math.PI * progress)) / 2;
+                if (phase === 'inhale') level = eased;
+                if (phase === 'exhale') level = 1 - eased;
+                
+                return {
+                    finished: false,
+                    elapsed,
+                    cycle,
+                    index,
+                    phase,
+                    remaining: seconds - time,
+                    level
+                };
+            }
+            
+            if (phase === 'inhale') level = 1;
+            if (phase === 'exhale') level = 0;
+            time -= seconds;
+        }
+    }
+    
+    tickBreathingSession() {
+        const session = this.breathingSession;
+        if (!session.patternId) return;
+        
+        const state = this.getBreathingSessionState();
+        if (state.finished) {
+            this.stopBreathingSession({ completed: true });
+            return;
+        }
+        
+        const cueLabels = { inhale: 'Breathe in', hold: 'Hold', exhale: 'Breathe out' };
+        const phaseKey = `${state.cycle}:${state.index}`;
+        if (phaseKey !== session.phaseKey) {
+            session.phaseKey = phaseKey;
+            const cue = document.getElementById('breathingCue');
+            cue.textContent = cueLabels[state.phase];
+            cue.dataset.phase = state.phase;
+            this.announce(cueLabels[state.phase]);
+        }
+        
+        const totalSeconds = session.cycles * this.getBreathingCycleLength(session.patternId);
+        const left = Math.max(0, totalSeconds - state.elapsed);
+        document.getElementById('breathingCount').textContent = Math.ceil(state.remaining);
+        document.getElementById('breathingProgress').textContent =
+            `Cycle ${state.cycle + 1} of ${session.cycles} · ${Math.floor(left / 60)}:${String(Math.floor(left % 60)).padStart(2, '0')} left`;
+        
+        if (this.applyBreathingScale(performance.now())) paper.view.draw();
+        
+        session.frame = requestAnimationFrame(() => this.tickBreathingSession());
+    }
+    
+    async stopBreathingSession(options = {}) {
+        const session = this.breathingSession;
+        if (!session.patternId) return;
+        
+        const state = this.getBreathingSessionState();
+        const pattern = this.breathingPatterns[session.patternId];
+        const cycleLength = this.getBreathingCycleLength(session.patternId);
+        const summary = {
+            type: 'breathing',
+            timestamp: Date.now(),
+            patternId: session.patternId,
+            patternName: pattern.name,
+            cycles: state.cycle,
+            plannedCycles: session.cycles,
+            durationSeconds: Math.round(options.completed ? session.cycles * cycleLength : state.elapsed),
+            completed: !!options.completed,
+            biometrics: session.biometrics,
+            wellnessScore: session.wellnessScore
+        };
+        
+        cancelAnimationFrame(session.frame);
+        session.patternId = null;
+        session.frame = null;
+        document.getElementById('breathingOverlay').hidden = true;
+        
+        if (options.silent) return;
+        
+        this.announce(summary.completed ? 'Breathing session complete' : 'Breathing session stopped');
+        this.showBreathingSummary(summary);
+        
+        // Sessions shorter than one full breath aren't worth keeping
+        if (summary.cycles > 0 && this.capabilities.indexedDB) {
+            try {
+                await this.addJournalEntry(summary);
+                await this.renderJournal();
+            } catch (error) {
+                console.warn('Unable to save breathing session:', error);
+            }
+        }
+    }
+    
+    showBreathingSummary(summary) {
+        const minutes = Math.floor(summary.durationSeconds / 60);
+        const seconds = String(summary.durationSeconds % 60).padStart(2, '0');
+        const breathsPerMinute = summary.durationSeconds > 0 ? (summary.cycles / summary.durationSeconds) * 60 : 0;
+        
+        this.openModal(summary.completed ? 'Session Complete' : 'Session Stopped', `
+            <dl class="import-preview">
+                <dt>Pattern</dt><dd>${this.escapeHTML(summary.patternName)}</dd>
+                <dt>Duration</dt><dd>${minutes}:${seconds}</dd>
+                <dt>Breaths</dt><dd>${summary.cycles} of ${summary.plannedCycles}</dd>
+                <dt>Pace</dt><dd>${breathsPerMinute.toFixed(1)} breaths / min</dd>
+                <dt>Stress at start</dt><dd>${this.formatBiometricValue('stress', summary.biometrics.stress)} / 10</dd>
+            </dl>
+            <p class="modal-hint">${summary.cycles > 0 ? 'This session has been added to your journal.' : 'Complete at least one breath to log a session.'}
+                Update your stress slider to see how the mandala changes.</p>
+        `, [
+            {
+                label: 'Again',
+                icon: 'redo',
+                onClick: () => {
+                    this.closeModal();
+                    this.showBreathingDialog(summary.patternId, Math.max(1, Math.round(summary.durationSeconds / 60)));
+                }
+            },
+            { label: 'Done', icon: 'check', variant: 'primary', onClick: () => this.closeModal() }
+        ]);
+    }
+    
+    showExportDialog() {
+        const sizeOptions = Object.entries(this.exportSizePresets)
+            .map(([key, preset]) => `<option value="${key}">${preset.label}</option>`)
+            .join('');
+        
+        const body = this.openModal('Export Mandala', `
+            <fieldset class="modal-field">
+                <legend>Format</legend>
+                <label class="modal-option">
+                    <input type="radio" name="exportFormat" value="png" checked>
+                    <span>PNG image</span>
+                </label>
+                <label class="modal-option">
+                    <input type="radio" name="exportFormat" value="svg">
+                    <span>SVG vector</span>
+                </label>
+            </fieldset>
+            <fieldset class="modal-field">
+                <legend>Size</legend>
+                <select class="modal-select" id="exportSize">
+                    ${sizeOptions}
+                    <option value="custom">Custom size…</option>
+                </select>
+                <div class="modal-inline-fields" id="exportCustomSize" hidden>
+                    <label>Width <input type="number" id="exportWidth" min="16" max="${this.maxExportDimension}" value="4000"> px</label>
+                    <label>Height <input type="number" id="exportHeight" min="16" max="${this.maxExportDimension}" value="4000"> px</label>
+                    <label>DPI <input type="number" id="exportDpi" min="${this.exportDpiRange.min}" max="${this.exportDpiRange.max}" value="300"></label>
+                </div>
+                <p class="modal-hint" id="exportSizeHint"></p>
+            </fieldset>
+            <fieldset class="modal-field">
+                <legend>Include</legend>
+                <label class="modal-option">
+                    <input type="checkbox" id="exportBackground" checked>
+                    <span>Background</span>
+                </label>
+                <label class="modal-option">
+                    <input type="checkbox" id="exportEffects" checked>
+                    <span>Energy effects</span>
+                </label>
+            </fieldset>
+        `, [
+            { label: 'Cancel', icon: 'times', onClick: () => this.closeModal() },
+            {
+                label: 'Export',
+                icon: 'download',
+                variant: 'primary',
+                onClick: async (body) => {
+                    const options = {
+                        format: body.querySelector('input[name="exportFormat"]:checked').value,
+                        includeBackground: body.querySelector('#exportBackground').checked,
+                        includeEffects: body.querySelector('#exportEffects').checked,
+                        ...this.readExportSize(body)
+                    };
+                    
+                    // Keep the dialog open so a bad custom size can be corrected
+                    const { width, height } = this.getExportSize(options);
+                    const sizeError = this.validateExportSize(options.format, width, height);
+                    if (sizeError) {
+                        this.showToast(sizeError, 'warning');
+                        return;
+                    }
+                    
+                    this.closeModal();
+                    await this.exportMandala(options);
+                }
+            }
+        ]);
+        if (!body) return;
+        
+        // Show custom fields and the resulting print size as the selection changes
+        const updateSizeHint = () => {
+            const isCustom = body.querySelector('#exportSize').value === 'custom';
+            body.querySelector('#exportCustomSize').hidden = !isCustom;
+            
+            const { width, height, dpi } = this.readExportSize(body);
+            const hint = body.querySelector('#exportSizeHint');
+            if (width === null) {
+                hint.textContent = 'Matches the on-screen canvas';
+            } else if (!(width > 0 && height > 0)) {
+                hint.textContent = 'Enter a width and height in pixels';
+            } else {
+                const inches = (pixels) => (pixels / dpi).toFixed(1);
+                hint.textContent = `${width} × ${height} px · ${inches(width)} × ${inches(height)} in at ${dpi} DPI`;
+            }
+        };
+        
+        body.querySelector('#exportSize').addEventListener('change', updateSizeHint);
+        body.querySelectorAll('#exportCustomSize input').forEach(input => {
+            input.addEventListener('input', updateSizeHint);
+        });
+        updateSizeHint();
+    }
+    
+    readExportSize(body) {
+        const key = body.querySelector('#exportSize').value;
+        if (key !== 'custom') {
+            const { width, height, dpi } = this.exportSizePresets[key];
+            return { width, height, dpi };
+        }
+        
+        return {
+            width: parseInt(body.querySelector('#exportWidth').value),
+            height: parseInt(body.querySelector('#exportHeight').value),
+            dpi: this.normalizeExportDpi(parseInt(body.querySelector('#exportDpi').value))
+        };
     }
     
-    async exportMandala() {
+    normalizeExportDpi(dpi) {
+        // Unreadable values fall back to screen resolution, the rest stay within what the pHYs chunk should carry
+        const { min, max } = this.exportDpiRange;
+        return Number.isFinite(dpi) ? Math.max(min, Math.min(max, Math.round(dpi))) : 96;
+    }
+    
+    async exportMandala(options = {}) {
+        const { format = 'png' } = options;
+        const { width, height } = this.getExportSize(options);
+        
+        const sizeError = this.validateExportSize(format, width, height);
+        if (sizeError) {
+            this.showToast(sizeError, 'warning');
+            return;
+        }
+        
+        this.showLoading();
+        
         try {
-            // Ensure canvas is up to date
-            paper.view.draw();
+            // Let the loading overlay paint before the (potentially long) render
+            await this.nextFrame();
             
-            // Create download
-            const dataURL = this.canvas.toDataURL('image/png', 1.0);
-            const link = document.createElement('a');
-            const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
-            link.download = `biometric-mandala-${timestamp}.png`;
-            link.href = dataURL;
-            link.click();
+            const blob = await this.renderExportBlob({ ...options, width, height });
+            this.downloadBlob(blob, this.getExportFilename(format === 'svg' ? 'svg' : 'png'));
             
-            this.showToast('Mandala exported successfully!', 'success');
+            this.showToast(`Mandala exported as ${format.toUpperCase()} (${width} × ${height})!`, 'success');
         } catch (error) {
             console.error('Export failed:', error);
             this.showToast('Export failed. Please try again.', 'error');
+        } finally {
+            this.hideLoading();
         }
     }
     
-    async shareMandala() {
-        if (navigator.share) {
-            try {
-                // Convert canvas to blob for sharing
-                this.canvas.toBlob(async (blob) => {
-                    const file = new File([blob], 'biometric-mandala.png', { type: 'image/png' });
-                    await navigator.share({
-                        title: 'My Biometric Mandala',
-                        text: 'Check out my personalized mandala created from my wellness data!',
-                        files: [file]
-                    });
-                });
-            } catch (error) {
-                console.error('Sharing failed:', error);
-                this.fallbackShare();
-            }
-        } else {
-            this.fallbackShare();
+    getExportSize(options) {
+        // Without an explicit size, match the on-screen canvas at device resolution;
+        // 0 or NaN from an empty field stays invalid instead of quietly becoming the screen size
+        const screenScale = options.format === 'svg' ? 1 : this.capabilities.devicePixelRatio;
+        return {
+            width: Math.round(options.width ?? paper.view.size.width * screenScale),
+            height: Math.round(options.height ?? paper.view.size.height * screenScale)
+        };
+    }
+    
+    validateExportSize(format, width, height) {
+        if (!(width >= 16 && height >= 16) || width > this.maxExportDimension || height > this.maxExportDimension) {
+            return `Export size must be between 16 and ${this.maxExportDimension} px per side`;
+        }
+        
+        if (format === 'png' && width * height > this.maxExportPixels) {
+            return 'That size exceeds what the browser can render in one image';
         }
+        
+        return null;
     }
     
-    fallbackShare() {
-        // Fallback sharing method
-        const url = window.location.href;
-        if (navigator.clipboard) {
-            navigator.clipboard.writeText(url);
-            this.showToast('Link copied to clipboard!', 'success');
-        } else {
-            this.showToast('Sharing not supported on this device', 'warning');
+    async renderExportBlob(options) {
+        const { format = 'png', width, height, includeBackground = true, includeEffects = true, dpi = 96 } = options;
+        
+        // Rebuild in a neutral pose instead of copying the animated frame,
+        // laid out like the screen and scaled up to the requested pixels
+        const layout = this.getExportLayout(width, height);
+        const snapshot = this.renderMandalaSnapshot(layout.width, layout.height, {
+            scale: format === 'png' ? layout.scale : 1,
+            includeBackground,
+            includeEffects
+        });
+        
+        try {
+            if (format === 'svg') {
+                const svgElement = snapshot.exportSVG({ bounds: 'view' });
+                svgElement.setAttribute('width', width);
+                svgElement.setAttribute('height', height);
+                const svg = new XMLSerializer().serializeToString(svgElement);
+                return new Blob([svg], { type: 'image/svg+xml' });
+            }
+            
+            const blob = await this.canvasToBlob(snapshot.view.element, 'image/png');
+            return await this.addPngResolution(blob, this.normalizeExportDpi(Number(dpi)));
+        } finally {
+            snapshot.remove();
         }
     }
     
-    generateRandomData() {
-        // Generate realistic random biometric data
-        const newBiometrics = {
-            heartRate: Math.floor(Math.random() * 120) + 50,
-            sleepHours: Math.round((Math.random() * 6 + 4) * 2) / 2,
-            steps: Math.floor(Math.random() * 18000) + 2000,
-            mood: Math.floor(Math.random() * 10) + 1,
-            stress: Math.floor(Math.random() * 10) + 1,
-            energy: Math.floor(Math.random() * 10) + 1
+    getExportLayout(width, height) {
+        // Lay out at screen scale so fixed-size details (centre, strokes)
+        // keep their proportions, then zoom to the requested pixel size
+        const reference = Math.min(paper.view.size.width, paper.view.size.height);
+        const scale = Math.min(width, height) / reference;
+        
+        return {
+            width: width / scale,
+            height: height / scale,
+            scale
         };
+    }
+    
+    canvasToBlob(canvas, type) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Canvas is too large to encode'));
+                }
+            }, type);
+        });
+    }
+    
+    async addPngResolution(blob, dpi) {
+        // Insert a pHYs chunk after IHDR so print software picks up the DPI
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const ihdrEnd = 8 + 4 + 4 + 13 + 4;
+        const pixelsPerMeter = Math.round(dpi / 0.0254);
         
-        // Animate slider changes
-        this.animateToNewValues(newBiometrics);
+        const data = new Uint8Array(9);
+        const view = new DataView(data.buffer);
+        view.setUint32(0, pixelsPerMeter);
+        view.setUint32(4, pixelsPerMeter);
+        data[8] = 1; // unit: metre
         
-        this.showToast('Random biometric data generated!', 'info');
+        return new Blob([bytes.subarray(0, ihdrEnd), this.createPngChunk('pHYs', data), bytes.subarray(ihdrEnd)], { type: 'image/png' });
     }
     
-    animateToNewValues(newBiometrics) {
-        const duration = this.capabilities.reducedMotion ? 0 : 1500;
+    createPngChunk(type, data) {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) {
+            chunk[4 + i] = type.charCodeAt(i);
+        }
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, this.crc32(chunk.subarray(4, 8 + data.length)));
+        return chunk;
+    }
+    
+    readPngChunks(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const chunks = [];
+        let offset = 8;
         
-        for (const [key, value] of Object.entries(newBiometrics)) {
-            const slider = document.getElementById(key);
-            const valueDisplay = document.getElementById(`${key}Value`);
+        while (offset < bytes.length) {
+            const length = view.getUint32(offset);
+            const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+            chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+            offset += 12 + length;
+        }
+        
+        return chunks;
+    }
+    
+    showRecordDialog() {
+        if (this.isRecording) {
+            this.showToast('A recording is already in progress', 'warning');
+            return;
+        }
+        
+        const cycleSeconds = (this.getBreathingCycleDuration() / 1000).toFixed(1);
+        const webmSupported = this.capabilities.mediaRecorder;
+        const soundtrackSupported = webmSupported && this.capabilities.webAudio && this.capabilities.offlineAudio;
+        
+        this.openModal('Record Animation', `
+            <fieldset class="modal-field">
+                <legend>Length</legend>
+                <label class="modal-option">
+                    <input type="radio" name="recordLength" value="cycle" checked>
+                    <span>One breathing cycle (${cycleSeconds} s)</span>
+                </label>
+                <label class="modal-option">
+                    <input type="radio" name="recordLength" value="custom">
+                    <span>Custom length</span>
+                    <input type="number" id="recordSeconds" min="1" max="${this.maxRecordingSeconds}" value="10"> s
+                </label>
+            </fieldset>
+            <fieldset class="modal-field">
+                <legend>Format</legend>
+                <label class="modal-option">
+                    <input type="radio" name="recordFormat" value="webm" ${webmSupported ? 'checked' : 'disabled'}>
+                    <span>WebM video${webmSupported ? '' : ' (not supported in this browser)'}</span>
+                </label>
+                <label class="modal-option">
+                    <input type="radio" name="recordFormat" value="apng" ${webmSupported ? '' : 'checked'}>
+                    <span>Animated PNG (larger, plays everywhere)</span>
+                </label>
+                <label class="modal-option">
+                    <input type="checkbox" id="recordSoundtrack" ${soundtrackSupported ? '' : 'disabled'}>
+                    <span>Include soundtrack (WebM only)</span>
+                </label>
+            </fieldset>
+        `, [
+            { label: 'Cancel', icon: 'times', onClick: () => this.closeModal() },
+            {
+                label: 'Record',
+                icon: 'circle',
+                variant: 'primary',
+                onClick: async (body) => {
+                    const length = body.querySelector('input[name="recordLength"]:checked').value;
+                    const seconds = parseFloat(body.querySelector('#recordSeconds').value) || 10;
+                    const options = {
+                        format: body.querySelector('input[name="recordFormat"]:checked').value,
+                        duration: length === 'cycle' ? this.getBreathingCycleDuration() : seconds * 1000,
+                        soundtrack: body.querySelector('#recordSoundtrack').checked
+                    };
+                    this.closeModal();
+                    await this.recordMandala(options);
+                }
+            }
+        ]);
+    }
+    
+    async recordMandala(options = {}) {
+        if (this.isRecording) return;
+        
+        let format = options.format || (this.capabilities.mediaRecorder ? 'webm' : 'apng');
+        if (format === 'webm' && !this.capabilities.mediaRecorder) {
+            this.showToast('Video recording unsupported, falling back to animated PNG', 'warning');
+            format = 'apng';
+        }
+        
+        const duration = Math.max(1000, Math.min(this.maxRecordingSeconds * 1000,
+            options.duration || this.getBreathingCycleDuration()));
+        
+        this.isRecording = true;
+        
+        // The soundtrack is rendered up front so the recording can play it back in real time
+        let soundtrack = null;
+        if (options.soundtrack && format === 'webm') {
+            try {
+                this.showLoading('Composing Soundtrack', 'Rendering audio from your biometrics...');
+                soundtrack = await this.renderSoundtrack(duration / 1000);
+            } catch (error) {
+                console.error('Soundtrack rendering failed:', error);
+                this.showToast('Soundtrack unavailable, recording video only', 'warning');
+            }
+        }
+        
+        // A paused mandala would record a still image; it is paused again afterwards
+        const wasPaused = !this.isAnimating;
+        if (wasPaused) {
+            this.toggleAnimation();
+        }
+        
+        this.showLoading('Recording Your Mandala',
+            `Capturing ${(duration / 1000).toFixed(1)} seconds of animation...`, { seeThrough: true });
+        this.setLoadingProgress(0);
+        
+        try {
+            const blob = format === 'webm'
+                ? await this.recordWebM(duration, soundtrack)
+                : await this.recordApng(duration);
             
-            if (slider && valueDisplay) {
-                anime({
-                    targets: { value: parseFloat(slider.value) },
-                    value: value,
-                    duration: duration,
-                    easing: 'easeInOutQuart',
-                    update: (anim) => {
-                        const currentValue = anim.animatables[0].target.value;
-                        slider.value = currentValue;
-                        
-                        if (key === 'steps') {
-                            valueDisplay.textContent = Math.round(currentValue).toLocaleString();
-                        } else if (key === 'sleepHours') {
-                            valueDisplay.textContent = currentValue.toFixed(1);
-                        } else {
-                            valueDisplay.textContent = Math.round(currentValue);
-                        }
-                        
-                        // Update biometric value
-                        this.biometrics[key] = currentValue;
-                        
-                        // Trigger updates
-                        this.updateMandala();
-                    }
+            this.downloadBlob(blob, this.getExportFilename(format === 'webm' ? 'webm' : 'png'));
+            this.showToast('Mandala recording saved!', 'success');
+        } catch (error) {
+            console.error('Recording failed:', error);
+            this.showToast('Recording failed. Please try again.', 'error');
+        } finally {
+            this.isRecording = false;
+            if (wasPaused && this.isAnimating) this.toggleAnimation();
+            this.hideLoading();
+        }
+    }
+    
+    createRecordingSurface(maxSide = Infinity) {
+        // Composite the page background under the transparent mandala canvas
+        const scale = Math.min(1, maxSide / Math.max(this.canvas.width, this.canvas.height));
+        const canvas = document.createElement('canvas');
+        
+        // Video encoders require even dimensions
+        canvas.width = Math.round(this.canvas.width * scale / 2) * 2;
+        canvas.height = Math.round(this.canvas.height * scale / 2) * 2;
+        
+        const context = canvas.getContext('2d');
+        const background = context.createLinearGradient(0, 0, canvas.width, canvas.height);
+        this.core.backgroundGradient.forEach(([color, offset]) => background.addColorStop(offset, color));
+        
+        return {
+            canvas,
+            draw: () => {
+                context.fillStyle = background;
+                context.fillRect(0, 0, canvas.width, canvas.height);
+                context.drawImage(this.canvas, 0, 0, canvas.width, canvas.height);
+            }
+        };
+    }
+    
+    recordWebM(duration, soundtrack = null) {
+        return new Promise((resolve, reject) => {
+            const surface = this.createRecordingSurface();
+            const stream = surface.canvas.captureStream(30);
+            const mimeTypes = soundtrack
+                ? ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm']
+                : ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+            const mimeType = mimeTypes.find(type => MediaRecorder.isTypeSupported(type));
+            
+            // Mux the soundtrack in by playing it into a stream destination alongside the canvas
+            let source = null;
+            if (soundtrack) {
+                const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+                this.audioContext = this.audioContext || new AudioContextClass();
+                this.audioContext.resume();
+                
+                const destination = this.audioContext.createMediaStreamDestination();
+                source = this.audioContext.createBufferSource();
+                source.buffer = soundtrack;
+                source.connect(destination);
+                destination.stream.getAudioTracks().forEach(track => stream.addTrack(track));
+            }
+            
+            const recorder = new MediaRecorder(stream, {
+                mimeType,
+                videoBitsPerSecond: 8000000
+            });
+            const chunks = [];
+            
+            recorder.ondataavailable = (e) => {
+                if (e.data.size > 0) chunks.push(e.data);
+            };
+            recorder.onstop = () => {
+                source?.disconnect();
+                resolve(new Blob(chunks, { type: 'video/webm' }));
+            };
+            recorder.onerror = (e) => reject(e.error || new Error('MediaRecorder error'));
+            
+            surface.draw();
+            recorder.start(250);
+            source?.start();
+            
+            const startTime = performance.now();
+            const captureFrame = (now) => {
+                const elapsed = now - startTime;
+                surface.draw();
+                this.setLoadingProgress(elapsed / duration);
+                
+                if (elapsed < duration) {
+                    requestAnimationFrame(captureFrame);
+                } else {
+                    recorder.stop();
+                }
+            };
+            requestAnimationFrame(captureFrame);
+        });
+    }
+    
+    showSoundtrackDialog() {
+        if (!this.capabilities.offlineAudio) {
+            this.showToast('Audio rendering not supported in this browser', 'warning');
+            return;
+        }
+        
+        this.openModal('Export Soundtrack', `
+            <fieldset class="modal-field">
+                <legend>Length</legend>
+                <div class="modal-inline-fields">
+                    <label>
+                        <input type="number" id="soundtrackMinutes" min="0.5" max="${this.maxSoundtrackMinutes}" step="0.5" value="5">
+                        minutes
+                    </label>
+                </div>
+                <p class="modal-hint">The same synth as the ambient sound: mood sets the chord, heart rate the pulse,
+                    energy the brightness and stress the dissonance. The filter swells with each breathing cycle.
+                    Uncompressed WAV is about 10 MB per minute.</p>
+            </fieldset>
+        `, [
+            { label: 'Cancel', icon: 'times', onClick: () => this.closeModal() },
+            {
+                label: 'Download WAV',
+                icon: 'music',
+                variant: 'primary',
+                onClick: async (body) => {
+                    const minutes = parseFloat(body.querySelector('#soundtrackMinutes').value) || 5;
+                    this.closeModal();
+                    await this.exportSoundtrack(Math.max(0.5, Math.min(this.maxSoundtrackMinutes, minutes)) * 60);
+                }
+            }
+        ]);
+    }
+    
+    async exportSoundtrack(seconds) {
+        this.showLoading('Composing Soundtrack', `Rendering ${+(seconds / 60).toFixed(1)} minutes of audio...`);
+        this.setLoadingProgress(0);
+        
+        try {
+            const buffer = await this.renderSoundtrack(seconds, (fraction) => this.setLoadingProgress(fraction * 0.9));
+            const wav = this.encodeWav(buffer);
+            this.setLoadingProgress(1);
+            
+            this.downloadBlob(wav, this.getExportFilename('wav'));
+            this.showToast('Soundtrack saved!', 'success');
+        } catch (error) {
+            console.error('Soundtrack export failed:', error);
+            this.showToast('Soundtrack export failed. Please try again.', 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+    
+    async renderSoundtrack(seconds, onProgress = null, biometrics = this.biometrics) {
+        const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const sampleRate = 44100;
+        const context = new OfflineContextClass(2, Math.ceil(seconds * sampleRate), sampleRate);
+        const params = this.getAmbientParameters(biometrics);
+        const fadeTime = Math.min(4, seconds / 4);
+        
+        // Same voice and pulses as the live synth, faded in and out at the ends
+        const master = context.createGain();
+        master.gain.setValueAtTime(0, 0);
+        master.gain.linearRampToValueAtTime(0.6, fadeTime);
+        master.gain.setValueAtTime(0.6, seconds - fadeTime);
+        master.gain.linearRampToValueAtTime(0, seconds);
+        master.connect(context.destination);
+        
+        const filter = context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.Q.value = 0.7;
+        filter.frequency.value = params.cutoff;
+        filter.connect(master);
+        
+        // The filter opens and closes once per breathing cycle of the animation
+        const breath = context.createOscillator();
+        const breathDepth = context.createGain();
+        breath.frequency.value = 1000 / this.getBreathingCycleDuration();
+        breathDepth.gain.value = params.cutoff * 0.35;
+        breath.connect(breathDepth).connect(filter.frequency);
+        breath.start(0);
+        
+        this.createAmbientVoice(params, fadeTime, context, filter);
+        
+        for (let time = 0.5; time < seconds - 0.5; time += params.pulseInterval) {
+            this.playAmbientPulse(time, params.root / 2, 0.22, context, master);
+            this.playAmbientPulse(time + params.pulseInterval * 0.3, params.root / 2 * 0.94, 0.13, context, master);
+        }
+        
+        // Rendering has no progress events, so pause briefly at each 5% to report one. Suspend times
+        // are rounded to 128-frame render quanta and rejected when two land in the same one
+        if (onProgress && context.suspend) {
+            const quantum = 128;
+            let lastFrame = 0;
+            for (let step = 1; step < 20; step++) {
+                const frame = Math.floor((seconds * sampleRate * step) / 20 / quantum) * quantum;
+                if (frame <= lastFrame || frame >= context.length) continue;
+                lastFrame = frame;
+                
+                context.suspend(frame / sampleRate).then(() => {
+                    onProgress(step / 20);
+                    return context.resume();
+                }).catch(error => console.warn('Soundtrack progress step skipped:', error));
+            }
+        }
+        
+        return context.startRendering();
+    }
+    
+    encodeWav(audioBuffer) {
+        // 16-bit PCM with interleaved channels behind a 44-byte RIFF header
+        const { numberOfChannels, sampleRate, length } = audioBuffer;
+        const dataSize = length * numberOfChannels * 2;
+        const view = new DataView(new ArrayBuffer(44 + dataSize));
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+        };
+        
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);
+        view.setUint16(22, numberOfChannels, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * numberOfChannels * 2, true);
+        view.setUint16(32, numberOfChannels * 2, true);
+        view.setUint16(34, 16, true);
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+        
+        const channels = Array.from({ length: numberOfChannels }, (_, i) => audioBuffer.getChannelData(i));
+        let offset = 44;
+        for (let i = 0; i < length; i++) {
+            for (const data of channels) {
+                const sample = Math.max(-1, Math.min(1, data[i]));
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+                offset += 2;
+            }
+        }
+        
+        return new Blob([view], { type: 'audio/wav' });
+    }
+    
+    async recordApng(duration, fps = 10) {
+        // Smaller frames keep the uncompressed-per-frame APNG manageable
+        const surface = this.createRecordingSurface(480);
+        const frameCount = Math.max(2, Math.round((duration / 1000) * fps));
+        const frames = [];
+        const startTime = performance.now();
+        
+        for (let i = 0; i < frameCount; i++) {
+            // Wait for the live animation to reach this frame's timestamp
+            const frameTime = startTime + (i * 1000) / fps;
+            while (performance.now() < frameTime) {
+                await this.nextFrame();
+            }
+            
+            surface.draw();
+            const blob = await this.canvasToBlob(surface.canvas, 'image/png');
+            frames.push(new Uint8Array(await blob.arrayBuffer()));
+            
+            // Capture is 90% of the work, encoding the rest
+            this.setLoadingProgress(((i + 1) / frameCount) * 0.9);
+        }
+        
+        const apng = this.encodeApng(frames, 1000 / fps);
+        this.setLoadingProgress(1);
+        return apng;
+    }
+    
+    encodeApng(frames, delay) {
+        // Reuses each frame's compressed IDAT data; frames must share one IHDR
+        const signature = frames[0].subarray(0, 8);
+        const ihdr = this.readPngChunks(frames[0]).find(chunk => chunk.type === 'IHDR').data;
+        const ihdrView = new DataView(ihdr.buffer, ihdr.byteOffset, ihdr.byteLength);
+        const width = ihdrView.getUint32(0);
+        const height = ihdrView.getUint32(4);
+        
+        const animationControl = new Uint8Array(8);
+        const animationView = new DataView(animationControl.buffer);
+        animationView.setUint32(0, frames.length);
+        animationView.setUint32(4, 0); // loop forever
+        
+        const parts = [signature, this.createPngChunk('IHDR', ihdr), this.createPngChunk('acTL', animationControl)];
+        let sequence = 0;
+        
+        frames.forEach((png, index) => {
+            const frameControl = new Uint8Array(26);
+            const frameView = new DataView(frameControl.buffer);
+            frameView.setUint32(0, sequence++);
+            frameView.setUint32(4, width);
+            frameView.setUint32(8, height);
+            frameView.setUint32(12, 0);
+            frameView.setUint32(16, 0);
+            frameView.setUint16(20, Math.round(delay));
+            frameView.setUint16(22, 1000);
+            frameControl[24] = 0; // dispose: none
+            frameControl[25] = 0; // blend: source
+            parts.push(this.createPngChunk('fcTL', frameControl));
+            
+            this.readPngChunks(png)
+                .filter(chunk => chunk.type === 'IDAT')
+                .forEach(chunk => {
+                    if (index === 0) {
+                        parts.push(this.createPngChunk('IDAT', chunk.data));
+                        return;
+                    }
+                    
+                    const frameData = new Uint8Array(4 + chunk.data.length);
+                    new DataView(frameData.buffer).setUint32(0, sequence++);
+                    frameData.set(chunk.data, 4);
+                    parts.push(this.createPngChunk('fdAT', frameData));
+                });
+        });
+        
+        parts.push(this.createPngChunk('IEND', new Uint8Array(0)));
+        return new Blob(parts, { type: 'image/apng' });
+    }
+    
+    renderMandalaSnapshot(width, height, options = {}) {
+        const { scale = 1, biometrics = this.biometrics } = options;
+        
+        // Detached canvas at exact pixel size - no devicePixelRatio upscaling
+        const canvas = document.createElement('canvas');
+        canvas.setAttribute('hidpi', 'off');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        
+        // Other biometrics (e.g. journal entries) use their own mood's palette, not the live preview
+        const palette = options.palette
+            || (biometrics === this.biometrics ? this.getPalette() : this.core.getPalette(biometrics.mood));
+        return this.core.render(biometrics, { width, height }, { symmetry: this.symmetry, ...options, canvas, palette });
+    }
+    
+    getExportFilename(extension) {
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        return `biometric-mandala-${timestamp}.${extension}`;
+    }
+    
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        this.downloadURL(url, filename);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    downloadURL(url, filename) {
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = url;
+        link.click();
+    }
+    
+    async shareMandala() {
+        if (navigator.share) {
+            try {
+                // Convert canvas to blob for sharing
+                this.canvas.toBlob(async (blob) => {
+                    const file = new File([blob], 'biometric-mandala.png', { type: 'image/png' });
+                    await navigator.share({
+                        title: 'My Biometric Mandala',
+                        text: 'Check out my personalized mandala created from my wellness data!',
+                        url: this.getShareableURL(),
+                        files: [file]
+                    });
+                });
+            } catch (error) {
+                console.error('Sharing failed:', error);
+                this.fallbackShare();
+            }
+        } else {
+            this.fallbackShare();
+        }
+    }
+    
+    fallbackShare() {
+        // Fallback sharing method - the link reproduces this exact mandala
+        const url = this.getShareableURL();
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(url);
+            this.showToast('Link copied to clipboard!', 'success');
+        } else {
+            this.showToast('Sharing not supported on this device', 'warning');
+        }
+    }
+    
+    getShareableState() {
+        const palettes = Object.fromEntries(this.getPaletteLevels(this.biometrics.mood)
+            .map(level => [level, this.getLevelPalette(level)])
+            .filter(([level, palette]) => JSON.stringify(palette) !== JSON.stringify(this.core.defaultPalettes[level])));
+        
+        return { biometrics: { ...this.biometrics }, symmetry: { ...this.symmetry }, palettes };
+    }
+    
+    getPaletteLevels(mood) {
+        // The one or two mood levels a (possibly fractional) mood blends between
+        const clamped = Math.max(1, Math.min(10, Number(mood) || 1));
+        return [...new Set([Math.floor(clamped), Math.ceil(clamped)])];
+    }
+    
+    encodeShareableState(state = this.getShareableState()) {
+        const params = new URLSearchParams();
+        params.set('v', '1');
+        
+        for (const [key, param] of Object.entries(this.shareParams)) {
+            params.set(param, this.normalizeBiometric(key, state.biometrics[key]));
+        }
+        
+        // Only settings that differ from the classic rings, so plain links stay short
+        const symmetry = this.core.normalizeSymmetry(state.symmetry);
+        for (const [key, param] of Object.entries(this.shareSymmetryParams)) {
+            const value = symmetry[key];
+            if (value === this.core.defaultSymmetry[key]) continue;
+            params.set(param, typeof value === 'boolean' ? '1' : value);
+        }
+        
+        if (Object.keys(state.palettes || {}).length > 0) {
+            params.set('palettes', JSON.stringify(state.palettes));
+        }
+        
+        return params.toString();
+    }
+    
+    getShareableURL() {
+        const url = new URL(window.location.href);
+        url.hash = this.encodeShareableState();
+        return url.toString();
+    }
+    
+    scheduleShareableURLUpdate() {
+        // Tweens call updateMandala every frame; browsers throttle replaceState
+        if (!this.debouncedURLUpdate) {
+            this.debouncedURLUpdate = this.debounce(() => this.updateShareableURL(), 300);
+        }
+        this.debouncedURLUpdate();
+    }
+    
+    updateShareableURL() {
+        try {
+            history.replaceState(null, '', `#${this.encodeShareableState()}`);
+        } catch (error) {
+            console.warn('Unable to update shareable URL:', error);
+        }
+    }
+    
+    parseShareableState(hash = window.location.hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        if (!params.has('v')) return null;
+        
+        const biometrics = {};
+        const invalid = [];
+        
+        for (const [key, param] of Object.entries(this.shareParams)) {
+            if (!params.has(param)) continue;
+            
+            const value = parseFloat(params.get(param));
+            if (Number.isFinite(value)) {
+                biometrics[key] = this.normalizeBiometric(key, value);
+            } else {
+                invalid.push(param);
+            }
+        }
+        
+        // A link without symmetry settings was made with the classic rings
+        const symmetry = {};
+        for (const [key, param] of Object.entries(this.shareSymmetryParams)) {
+            if (!params.has(param)) continue;
+            
+            const value = this.parseSharedSymmetryValue(key, params.get(param));
+            if (value !== undefined) {
+                symmetry[key] = value;
+            } else {
+                invalid.push(param);
+            }
+        }
+        
+        const palettes = {};
+        if (params.has('palettes')) {
+            try {
+                for (const [level, palette] of Object.entries(JSON.parse(params.get('palettes')))) {
+                    if (!this.core.defaultPalettes[level]) throw new Error(`unknown mood level ${level}`);
+                    palettes[level] = this.validatePalette(palette);
+                }
+            } catch (error) {
+                console.warn('Ignoring shared palettes:', error.message);
+                invalid.push('palettes');
+            }
+        }
+        
+        return { biometrics, symmetry: this.core.normalizeSymmetry(symmetry), palettes, invalid };
+    }
+    
+    parseSharedSymmetryValue(key, text) {
+        // Returns undefined for values normalizeSymmetry would otherwise quietly replace
+        if (key === 'mirror') {
+            return text === '1' ? true : text === '0' ? false : undefined;
+        }
+        if (key === 'driver') {
+            return this.core.biometricRanges[text] ? text : undefined;
+        }
+        
+        const value = parseFloat(text);
+        return Number.isFinite(value) ? value : undefined;
+    }
+    
+    applySharedPalettes(palettes, mood) {
+        // A link without a palette for a level it uses was made with the built-in one. Levels that
+        // match the user's own palettes need no override; a new link replaces the previous one's
+        const shared = Object.fromEntries(this.getPaletteLevels(mood)
+            .map(level => [level, palettes[level] || this.core.defaultPalettes[level]])
+            .filter(([level, palette]) => JSON.stringify(palette) !== JSON.stringify(this.core.colorPalettes[level])));
+        
+        const changed = JSON.stringify(shared) !== JSON.stringify(this.sharedPalettes);
+        this.sharedPalettes = shared;
+        this.sharedPaletteCache.clear();
+        return changed;
+    }
+    
+    restoreStateFromURL() {
+        try {
+            const state = this.parseShareableState();
+            if (!state) return false;
+            
+            Object.assign(this.biometrics, state.biometrics);
+            this.symmetry = state.symmetry;
+            this.applySharedPalettes(state.palettes, this.biometrics.mood);
+            this.syncControlsToBiometrics();
+            
+            if (state.invalid.length > 0) {
+                this.showToast(`Ignored invalid shared values: ${state.invalid.join(', ')}`, 'warning');
+            }
+            
+            return true;
+        } catch (error) {
+            console.error('Failed to restore shared state:', error);
+            this.showToast('Could not read the shared mandala link', 'warning');
+            return false;
+        }
+    }
+    
+    getBiometricRange(key) {
+        // The sliders in index.html are the source of truth for valid ranges
+        const slider = document.getElementById(key);
+        const read = (attribute, fallback) => {
+            const value = parseFloat(slider?.getAttribute(attribute));
+            return Number.isFinite(value) ? value : fallback;
+        };
+        
+        return {
+            min: read('min', -Infinity),
+            max: read('max', Infinity),
+            step: read('step', 1)
+        };
+    }
+    
+    normalizeBiometric(key, value) {
+        const { min, max, step } = this.getBiometricRange(key);
+        const clamped = Math.max(min, Math.min(max, value));
+        
+        // Whole-number scales stay whole; others keep two decimals of precision
+        return step === 1 ? Math.round(clamped) : Math.round(clamped * 100) / 100;
+    }
+    
+    formatBiometricValue(key, value) {
+        const number = parseFloat(value);
+        if (key === 'steps') return Math.round(number).toLocaleString();
+        if (key === 'sleepHours') return number.toFixed(1);
+        return Math.round(number).toString();
+    }
+    
+    syncControlsToBiometrics() {
+        for (const [key, value] of Object.entries(this.biometrics)) {
+            const slider = document.getElementById(key);
+            const valueDisplay = document.getElementById(`${key}Value`);
+            
+            if (slider) slider.value = value;
+            if (valueDisplay) valueDisplay.textContent = this.formatBiometricValue(key, value);
+        }
+    }
+    
+    generateRandomData() {
+        // Generate realistic random biometric data
+        const newBiometrics = {
+            heartRate: Math.floor(Math.random() * 120) + 50,
+            sleepHours: Math.round((Math.random() * 6 + 4) * 2) / 2,
+            steps: Math.floor(Math.random() * 18000) + 2000,
+            mood: Math.floor(Math.random() * 10) + 1,
+            stress: Math.floor(Math.random() * 10) + 1,
+            energy: Math.floor(Math.random() * 10) + 1
+        };
+        
+        // Animate slider changes
+        this.animateToNewValues(newBiometrics);
+        
+        this.showToast('Random biometric data generated!', 'info');
+    }
+    
+    animateToNewValues(newBiometrics) {
+        const duration = this.capabilities.reducedMotion ? 0 : 1500;
+        
+        for (const [key, value] of Object.entries(newBiometrics)) {
+            const slider = document.getElementById(key);
+            const valueDisplay = document.getElementById(`${key}Value`);
+            
+            if (slider && valueDisplay) {
+                anime({
+                    targets: { value: parseFloat(slider.value) },
+                    value: value,
+                    duration: duration,
+                    easing: 'easeInOutQuart',
+                    update: (anim) => {
+                        const currentValue = anim.animatables[0].target.value;
+                        slider.value = currentValue;
+                        valueDisplay.textContent = this.formatBiometricValue(key, currentValue);
+                        
+                        // Update biometric value
+                        this.biometrics[key] = currentValue;
+                        
+                        // Trigger updates
+                        this.updateMandala();
+                    }
+                });
+            }
+        }
+        
+        // Final regeneration after animation
+        setTimeout(() => {
+            this.regenerateMandala();
+        }, duration + 100);
+    }
+    
+    toggleFullscreen() {
+        if (!document.fullscreenElement) {
+            document.documentElement.requestFullscreen().catch(err => {
+                console.error('Error attempting to enable fullscreen:', err);
+                this.showToast('Fullscreen not supported', 'warning');
+            });
+        } else {
+            document.exitFullscreen();
+        }
+    }
+    
+    showQuickStartTutorial() {
+        const steps = [
+            'Welcome to your Biometric Mandala Generator!',
+            'Adjust your heart rate to see the mandala rotate faster or slower',
+            'Change your sleep hours to increase pattern complexity',
+            'Modify your mood to see beautiful color transitions',
+            'Your mandala is a unique reflection of your current state'
+        ];
+        
+        this.showTutorialToasts(steps);
+    }
+    
+    showTutorialToasts(steps, index = 0) {
+        if (index >= steps.length) return;
+        
+        this.showToast(steps[index], 'info', 4000);
+        
+        setTimeout(() => {
+            this.showTutorialToasts(steps, index + 1);
+        }, 4500);
+    }
+    
+    applyPreset(presetId) {
+        const preset = this.presets.find(entry => entry.id === presetId);
+        if (!preset) return;
+        
+        const biometrics = Object.fromEntries(Object.entries(preset.biometrics)
+            .map(([key, value]) => [key, this.normalizeBiometric(key, value)]));
+        
+        this.animateToNewValues(biometrics);
+        this.showToast(`${this.escapeHTML(preset.name)} preset applied!`, 'success');
+        this.announce(`${preset.name} preset applied`);
+    }
+    
+    loadPresets() {
+        const saved = this.loadLocalSetting('presets', null);
+        if (!Array.isArray(saved)) return structuredClone(this.defaultPresets);
+        
+        // Drop anything malformed rather than failing the whole list
+        return saved.filter(preset =>
+            preset && typeof preset.id === 'string' && typeof preset.name === 'string' &&
+            preset.biometrics && Object.keys(this.biometrics).some(key => Number.isFinite(preset.biometrics[key]))
+        ).map(preset => ({
+            id: preset.id,
+            name: preset.name.slice(0, 24).trim(),
+            icon: this.presetIcons.includes(preset.icon) ? preset.icon : 'bookmark',
+            builtIn: Boolean(preset.builtIn),
+            biometrics: Object.fromEntries(Object.keys(this.biometrics)
+                .filter(key => Number.isFinite(preset.biometrics[key]))
+                .map(key => [key, preset.biometrics[key]]))
+        }));
+    }
+    
+    savePresets() {
+        this.saveLocalSetting('presets', this.presets);
+        this.renderPresetButtons();
+    }
+    
+    renderPresetButtons() {
+        const container = document.getElementById('quickActions');
+        const managerButton = document.getElementById('presetManagerBtn');
+        if (!container || !managerButton) return;
+        
+        container.querySelectorAll('[data-preset]').forEach(button => button.remove());
+        
+        this.presets.forEach(preset => {
+            const button = document.createElement('button');
+            button.className = 'quick-action-btn';
+            button.dataset.preset = preset.id;
+            button.title = `${preset.name} preset`;
+            button.innerHTML = `<i class="fas fa-${preset.icon}"></i><span>${this.escapeHTML(preset.name)}</span>`;
+            container.insertBefore(button, managerButton);
+        });
+    }
+    
+    showPresetManager() {
+        const iconOptions = (selected) => this.presetIcons
+            .map(icon => `<option value="${icon}" ${icon === selected ? 'selected' : ''}>${this.capitalize(icon)}</option>`)
+            .join('');
+        
+        const renderList = (body) => {
+            const list = body.querySelector('#presetList');
+            list.innerHTML = this.presets.length === 0
+                ? '<li class="journal-empty">No presets yet.</li>'
+                : this.presets.map((preset, index) => `
+                    <li class="preset-row" data-index="${index}">
+                        <i class="fas fa-${preset.icon} preset-row-icon"></i>
+                        <input type="text" data-field="name" maxlength="24" value="${this.escapeHTML(preset.name)}" aria-label="Preset name">
+                        <select class="modal-select" data-field="icon" aria-label="Preset icon">${iconOptions(preset.icon)}</select>
+                        <span class="palette-row-actions">
+                            <button type="button" class="palette-icon-btn" data-action="up" aria-label="Move up" ${index === 0 ? 'disabled' : ''}><i class="fas fa-arrow-up"></i></button>
+                            <button type="button" class="palette-icon-btn" data-action="down" aria-label="Move down" ${index === this.presets.length - 1 ? 'disabled' : ''}><i class="fas fa-arrow-down"></i></button>
+                            <button type="button" class="palette-icon-btn" data-action="delete" aria-label="Delete preset"><i class="fas fa-trash"></i></button>
+                        </span>
+                    </li>
+                `).join('');
+        };
+        
+        const body = this.openModal('Presets', `
+            <fieldset class="modal-field">
+                <legend>Save current sliders</legend>
+                <div class="preset-row">
+                    <input type="text" id="presetName" maxlength="24" placeholder="Preset name" aria-label="New preset name">
+                    <select class="modal-select" id="presetIcon" aria-label="New preset icon">${iconOptions('bookmark')}</select>
+                    <button type="button" class="palette-icon-btn" id="presetAddBtn"><i class="fas fa-plus"></i> Save</button>
+                </div>
+            </fieldset>
+            <ol class="preset-list" id="presetList"></ol>
+            <p class="modal-hint">Presets appear in the quick-actions bar in this order and are kept in this browser.</p>
+        `, [
+            { label: 'Restore Built-ins', icon: 'undo', onClick: (body) => {
+                const missing = this.defaultPresets.filter(preset => !this.presets.some(entry => entry.id === preset.id));
+                this.presets.push(...structuredClone(missing));
+                this.savePresets();
+                renderList(body);
+                this.showToast(missing.length > 0 ? `Restored ${missing.length} built-in presets` : 'All built-in presets are present', 'info');
+            } },
+            { label: 'Done', icon: 'check', variant: 'primary', onClick: () => this.closeModal() }
+        ]);
+        if (!body) return;
+        
+        body.querySelector('#presetAddBtn').addEventListener('click', () => {
+            const nameInput = body.querySelector('#presetName');
+            const name = nameInput.value.trim();
+            if (!name) {
+                this.showToast('Give the preset a name', 'warning');
+                nameInput.focus();
+                return;
+            }
+            
+            this.presets.push({
+                id: `custom-${Date.now().toString(36)}`,
+                name,
+                icon: body.querySelector('#presetIcon').value,
+                builtIn: false,
+                biometrics: { ...this.biometrics }
+            });
+            this.savePresets();
+            renderList(body);
+            nameInput.value = '';
+            this.showToast(`Saved preset "${this.escapeHTML(name)}"`, 'success');
+        });
+        
+        const list = body.querySelector('#presetList');
+        
+        // Renames are saved as typed; the list itself isn't re-rendered so the input keeps focus
+        list.addEventListener('input', (e) => {
+            const index = parseInt(e.target.closest('.preset-row')?.dataset.index);
+            const preset = this.presets[index];
+            if (!preset || e.target.dataset.field !== 'name' || !e.target.value.trim()) return;
+            preset.name = e.target.value.trim();
+            this.savePresets();
+        });
+        
+        list.addEventListener('change', (e) => {
+            const index = parseInt(e.target.closest('.preset-row')?.dataset.index);
+            const preset = this.presets[index];
+            if (!preset || e.target.dataset.field !== 'icon') return;
+            preset.icon = e.target.value;
+            this.savePresets();
+            renderList(body);
+        });
+        
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const index = parseInt(button.closest('.preset-row').dataset.index);
+            
+            switch (button.dataset.action) {
+                case 'up':
+                case 'down': {
+                    const other = index + (button.dataset.action === 'up' ? -1 : 1);
+                    [this.presets[index], this.presets[other]] = [this.presets[other], this.presets[index]];
+                    break;
+                }
+                case 'delete':
+                    this.presets.splice(index, 1);
+                    break;
+            }
+            this.savePresets();
+            renderList(body);
+        });
+        
+        renderList(body);
+    }
+    
+    toggleAmbientSounds() {
+        if (!this.capabilities.webAudio) {
+            this.showToast('Audio not supported on this device', 'warning');
+            return;
+        }
+        
+        this.ambientSounds.enabled = !this.ambientSounds.enabled;
+        const button = document.getElementById('ambientToggle');
+        
+        // setupActionButton clears .active after each click, so the on state lives in aria-pressed
+        button?.setAttribute('aria-pressed', String(this.ambientSounds.enabled));
+        
+        if (this.ambientSounds.enabled) {
+            this.startAmbientSounds();
+            this.announce('Ambient sounds enabled');
+        } else {
+            this.stopAmbientSounds();
+            this.announce('Ambient sounds disabled');
+        }
+    }
+    
+    setupAmbientVolume() {
+        const slider = document.getElementById('ambientVolume');
+        if (!slider) return;
+        
+        slider.value = Math.round(this.ambientSounds.volume * 100);
+        slider.addEventListener('input', () => {
+            this.setAmbientVolume(parseInt(slider.value) / 100);
+        });
+        slider.addEventListener('change', () => {
+            this.saveLocalSetting('ambientVolume', this.ambientSounds.volume);
+        });
+    }
+    
+    setAmbientVolume(volume) {
+        const ambient = this.ambientSounds;
+        ambient.volume = Math.max(0, Math.min(1, volume));
+        
+        if (ambient.enabled && ambient.gainNode) {
+            ambient.gainNode.gain.setTargetAtTime(ambient.volume * 0.6, this.audioContext.currentTime, 0.05);
+        }
+    }
+    
+    getAmbientParameters(biometrics = this.biometrics) {
+        const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+        
+        // Mood climbs a minor-pentatonic ladder from A2 and turns the chord major above 5
+        const ladder = [0, 3, 5, 7, 10, 12, 15, 17, 19, 22];
+        const mood = clamp(Math.round(biometrics.mood), 1, 10);
+        const degree = ladder[mood - 1];
+        const third = mood > 5 ? 4 : 3;
+        const stress = (clamp(biometrics.stress, 1, 10) - 1) / 9;
+        
+        return {
+            chordKey: `${degree}:${third}`,
+            root: 110 * Math.pow(2, degree / 12),
+            intervals: [0, 7, 12, 12 + third],
+            // Energy opens a low-pass from 250 Hz up to 4 kHz
+            cutoff: 250 * Math.pow(16, (clamp(biometrics.energy, 1, 10) - 1) / 9),
+            // Stress widens the detuning between paired oscillators and fades in a tritone
+            detune: 3 + stress * 27,
+            dissonance: Math.max(0, (stress - 0.4) / 0.6) * 0.08,
+            pulseInterval: 60 / clamp(biometrics.heartRate, 30, 220)
+        };
+    }
+    
+    async startAmbientSounds() {
+        const ambient = this.ambientSounds;
+        
+        try {
+            if (!this.audioContext) {
+                const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+                this.audioContext = new AudioContextClass();
+            }
+            await this.audioContext.resume();
+            
+            // The toggle may have been switched off again while the context resumed
+            if (!ambient.enabled || ambient.gainNode) return;
+            
+            const context = this.audioContext;
+            const now = context.currentTime;
+            
+            ambient.gainNode = context.createGain();
+            ambient.gainNode.gain.setValueAtTime(0, now);
+            ambient.gainNode.gain.setTargetAtTime(ambient.volume * 0.6, now, 0.5);
+            ambient.gainNode.connect(context.destination);
+            
+            ambient.filter = context.createBiquadFilter();
+            ambient.filter.type = 'lowpass';
+            ambient.filter.Q.value = 0.7;
+            ambient.filter.connect(ambient.gainNode);
+            
+            ambient.params = this.getAmbientParameters();
+            ambient.filter.frequency.setValueAtTime(ambient.params.cutoff, now);
+            ambient.voice = this.createAmbientVoice(ambient.params, 0.5);
+            ambient.lastCrossfade = now;
+            
+            ambient.nextPulseTime = now + 0.1;
+            ambient.pulseTimer = setInterval(() => this.scheduleAmbientPulses(), 50);
+        } catch (error) {
+            console.error('Error starting ambient sounds:', error);
+            this.showToast('Unable to start ambient sounds', 'error');
+            ambient.enabled = false;
+            document.getElementById('ambientToggle')?.setAttribute('aria-pressed', 'false');
+        }
+    }
+    
+    stopAmbientSounds() {
+        const ambient = this.ambientSounds;
+        clearInterval(ambient.pulseTimer);
+        clearTimeout(ambient.crossfadeTimer);
+        ambient.pulseTimer = null;
+        ambient.crossfadeTimer = null;
+        
+        if (!ambient.gainNode) return;
+        
+        // Fade out, then tear the whole graph down and let the context sleep
+        const { gainNode, voice } = ambient;
+        const now = this.audioContext.currentTime;
+        gainNode.gain.cancelScheduledValues(now);
+        gainNode.gain.setTargetAtTime(0, now, 0.15);
+        voice.oscillators.forEach(oscillator => oscillator.stop(now + 1));
+        
+        setTimeout(() => {
+            gainNode.disconnect();
+            if (!this.ambientSounds.enabled) this.audioContext.suspend();
+        }, 1100);
+        
+        ambient.gainNode = null;
+        ambient.filter = null;
+        ambient.voice = null;
+        ambient.params = null;
+    }
+    
+    createAmbientVoice(params, fadeTime, context = this.audioContext, destination = this.ambientSounds.filter) {
+        // Also used with an OfflineAudioContext to render soundtracks
+        const now = context.currentTime;
+        
+        const output = context.createGain();
+        output.gain.setValueAtTime(0, now);
+        output.gain.linearRampToValueAtTime(1, now + fadeTime);
+        output.connect(destination);
+        
+        const oscillators = [];
+        const detuned = [];
+        const addOscillator = (type, frequency, level, destination) => {
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+            oscillator.type = type;
+            oscillator.frequency.value = frequency;
+            gain.gain.value = level;
+            oscillator.connect(gain).connect(destination);
+            oscillator.start(now);
+            oscillators.push(oscillator);
+            return oscillator;
+        };
+        
+        // Each chord tone is a triangle/sawtooth pair pulled apart by the stress detune
+        params.intervals.forEach((interval, index) => {
+            const frequency = params.root * Math.pow(2, interval / 12);
+            const level = 0.08 / (index + 1);
+            [[-1, 'triangle', level], [1, 'sawtooth', level * 0.35]].forEach(([sign, type, gain]) => {
+                const oscillator = addOscillator(type, frequency, gain, output);
+                oscillator.detune.value = sign * params.detune;
+                detuned.push({ oscillator, sign });
+            });
+        });
+        
+        // A tritone above the root that only sounds under stress
+        const dissonance = context.createGain();
+        dissonance.gain.value = params.dissonance;
+        dissonance.connect(output);
+        addOscillator('sine', params.root * Math.pow(2, 18 / 12), 1, dissonance);
+        
+        return { output, oscillators, detuned, dissonance };
+    }
+    
+    updateAmbientSound() {
+        const ambient = this.ambientSounds;
+        if (!ambient.enabled || !ambient.voice) return;
+        
+        const context = this.audioContext;
+        const now = context.currentTime;
+        const params = this.getAmbientParameters();
+        
+        // Continuous parameters glide; a new chord crossfades in over the old one
+        ambient.filter.frequency.setTargetAtTime(params.cutoff, now, 0.4);
+        ambient.voice.dissonance.gain.setTargetAtTime(params.dissonance, now, 0.6);
+        ambient.voice.detuned.forEach(({ oscillator, sign }) => {
+            oscillator.detune.setTargetAtTime(sign * params.detune, now, 0.6);
+        });
+        
+        // Throttled so a fast timeline or live stream doesn't stack up voices; a chord
+        // change that arrives too soon is retried once the current crossfade has finished
+        const waitTime = ambient.crossfadeTime - (now - ambient.lastCrossfade);
+        if (params.chordKey !== ambient.params.chordKey && waitTime > 0) {
+            if (!ambient.crossfadeTimer) {
+                ambient.crossfadeTimer = setTimeout(() => {
+                    ambient.crossfadeTimer = null;
+                    this.updateAmbientSound();
+                }, waitTime * 1000);
+            }
+        }
+        
+        if (params.chordKey !== ambient.params.chordKey && waitTime <= 0) {
+            const previous = ambient.voice;
+            const fadeTime = ambient.crossfadeTime;
+            
+            previous.output.gain.cancelScheduledValues(now);
+            previous.output.gain.setValueAtTime(previous.output.gain.value, now);
+            previous.output.gain.linearRampToValueAtTime(0, now + fadeTime);
+            previous.oscillators.forEach(oscillator => oscillator.stop(now + fadeTime + 0.1));
+            previous.oscillators[0].onended = () => previous.output.disconnect();
+            
+            ambient.voice = this.createAmbientVoice(params, fadeTime);
+            ambient.lastCrossfade = now;
+            ambient.params = params;
+        } else {
+            ambient.params = { ...params, chordKey: ambient.params.chordKey, root: ambient.params.root };
+        }
+    }
+    
+    scheduleAmbientPulses() {
+        const ambient = this.ambientSounds;
+        if (!ambient.gainNode) return;
+        
+        const context = this.audioContext;
+        
+        // Look ahead a little so timer jitter never delays a beat; resync after the tab sleeps
+        if (ambient.nextPulseTime < context.currentTime) {
+            ambient.nextPulseTime = context.currentTime + 0.05;
+        }
+        
+        while (ambient.nextPulseTime < context.currentTime + 0.2) {
+            const interval = ambient.params.pulseInterval;
+            const time = ambient.nextPulseTime;
+            
+            // A soft "lub-dub" an octave below the root
+            this.playAmbientPulse(time, ambient.params.root / 2, 0.22);
+            this.playAmbientPulse(time + interval * 0.3, ambient.params.root / 2 * 0.94, 0.13);
+            
+            ambient.nextPulseTime += interval;
+        }
+    }
+    
+    playAmbientPulse(time, frequency, level, context = this.audioContext, destination = this.ambientSounds.gainNode) {
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        
+        oscillator.type = 'sine';
+        oscillator.frequency.setValueAtTime(frequency * 1.5, time);
+        oscillator.frequency.exponentialRampToValueAtTime(frequency, time + 0.08);
+        
+        gain.gain.setValueAtTime(0, time);
+        gain.gain.linearRampToValueAtTime(level, time + 0.015);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.25);
+        
+        oscillator.connect(gain).connect(destination);
+        oscillator.start(time);
+        oscillator.stop(time + 0.3);
+    }
+    
+    setupImport() {
+        const fileInput = document.getElementById('importFileInput');
+        
+        fileInput?.addEventListener('change', async () => {
+            const files = [...fileInput.files];
+            fileInput.value = '';
+            await this.importBiometricFiles(files);
+        });
+        
+        this.setupActionButton('importBtn', () => fileInput?.click(), 'Import biometric data');
+        
+        // Drag-and-drop files straight onto the mandala
+        const container = document.getElementById('mandalaContainer');
+        if (!container) return;
+        
+        const hasFiles = (e) => [...(e.dataTransfer?.types || [])].includes('Files');
+        
+        container.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            container.classList.add('drag-over');
+        });
+        
+        container.addEventListener('dragleave', (e) => {
+            if (!container.contains(e.relatedTarget)) {
+                container.classList.remove('drag-over');
+            }
+        });
+        
+        container.addEventListener('drop', async (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            container.classList.remove('drag-over');
+            
+            await this.importBiometricFiles([...e.dataTransfer.files]);
+        });
+    }
+    
+    async importBiometricFiles(files) {
+        // Wearable exports split one day across several JSON files, so merge them together
+        const jsonFiles = files.filter(file => /\.json$/i.test(file.name));
+        
+        for (const file of files) {
+            if (!jsonFiles.includes(file)) {
+                await this.importBiometricFile(file);
+                // One dialog at a time: the next file's mapping or day picker would replace this one
+                await this.waitForModalClose();
+            }
+        }
+        
+        // The Takeout/Fitbit picker comes last, once every other file's dialog has been dealt with
+        if (jsonFiles.length > 0) {
+            try {
+                await this.importWearableJSONFiles(jsonFiles);
+            } catch (error) {
+                console.error('Wearable import failed:', error);
+                this.showToast(`Could not import wearable data: ${this.escapeHTML(error.message)}`, 'error');
+            }
+        }
+    }
+    
+    async importBiometricFile(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        
+        try {
+            switch (extension) {
+                case 'csv':
+                case 'tsv':
+                case 'txt':
+                    await this.importCSVFile(file);
+                    break;
+                case 'xml':
+                    await this.importAppleHealthFile(file);
+                    break;
+                case 'json':
+                    await this.importWearableJSONFiles([file]);
+                    break;
+                case 'zip':
+                    this.showToast('Unzip the Apple Health export first, then import export.xml', 'info', 5000);
+                    break;
+                default:
+                    this.showToast(`Unsupported file type: .${this.escapeHTML(extension)}`, 'warning');
+            }
+        } catch (error) {
+            console.error(`Import of ${file.name} failed:`, error);
+            this.showToast(`Could not import ${this.escapeHTML(file.name)}: ${this.escapeHTML(error.message)}`, 'error');
+        }
+    }
+    
+    async importCSVFile(file) {
+        const text = await file.text();
+        const { rows, delimiter } = BiometricCSV.parse(text);
+        
+        if (rows.length < 2) {
+            throw new Error('No data rows found');
+        }
+        
+        const [headers, ...dataRows] = rows.map(row => row.map(cell => cell.trim()));
+        
+        // Google Takeout's "Daily activity metrics" has a fixed layout, so skip the mapping step
+        if (headers.includes('Date') && headers.includes('Step count')) {
+            this.importGoogleFitDailyMetrics(file.name, headers, dataRows, delimiter);
+            return;
+        }
+        
+        this.showCSVMappingDialog(file.name, headers, dataRows, delimiter);
+    }
+    
+    importGoogleFitDailyMetrics(fileName, headers, rows, delimiter) {
+        const mapping = Object.fromEntries(Object.keys(this.biometrics).map(key => [key, -1]));
+        mapping.label = headers.indexOf('Date');
+        mapping.heartRate = headers.indexOf('Average heart rate (bpm)');
+        mapping.steps = headers.indexOf('Step count');
+        
+        // Days the phone recorded nothing are blank rather than invalid
+        const { records, clampedCount } = this.buildCSVRecords(rows, mapping, delimiter);
+        this.reportImportIssues([], clampedCount);
+        
+        if (records.length === 0) {
+            throw new Error('No heart rate or step data found');
+        }
+        
+        this.showImportedRecordPicker(records.reverse().map(record => ({ ...record, date: record.label })), fileName);
+    }
+    
+    guessColumnMapping(headers) {
+        const hints = { ...BiometricCSV.columnHints, label: /date|day|time|label|name|id/i };
+        
+        const mapping = {};
+        const used = new Set();
+        
+        // Metrics first so a "sleep_date" column isn't taken as the label
+        for (const key of [...Object.keys(this.biometrics), 'label']) {
+            const index = headers.findIndex((header, i) => !used.has(i) && hints[key].test(header));
+            mapping[key] = index;
+            if (index >= 0) used.add(index);
+        }
+        
+        return mapping;
+    }
+    
+    showCSVMappingDialog(fileName, headers, rows, delimiter) {
+        const mapping = this.guessColumnMapping(headers);
+        const columnOptions = (selected) => [
+            `<option value="-1">— Not mapped —</option>`,
+            ...headers.map((header, index) =>
+                `<option value="${index}" ${index === selected ? 'selected' : ''}>${this.escapeHTML(header || `Column ${index + 1}`)}</option>`)
+        ].join('');
+        
+        const fields = [['label', 'Row label (date)'], ...Object.entries(this.core.biometricLabels)]
+            .map(([key, label]) => `
+                <label class="mapping-row">
+                    <span>${label}</span>
+                    <select class="modal-select" data-metric="${key}">${columnOptions(mapping[key])}</select>
+                </label>
+            `).join('');
+        
+        this.openModal('Map CSV Columns', `
+            <p class="modal-hint">${rows.length} rows and ${headers.length} columns found in ${this.escapeHTML(fileName)}.
+                Choose which column feeds each metric; unmapped metrics keep their current values.</p>
+            <div class="mapping-grid">${fields}</div>
+        `, [
+            { label: 'Cancel', icon: 'times', onClick: () => this.closeModal() },
+            {
+                label: 'Continue',
+                icon: 'arrow-right',
+                variant: 'primary',
+                onClick: (body) => {
+                    const chosen = {};
+                    body.querySelectorAll('select[data-metric]').forEach(select => {
+                        chosen[select.dataset.metric] = parseInt(select.value);
+                    });
+                    
+                    if (!Object.keys(this.biometrics).some(key => chosen[key] >= 0)) {
+                        this.showToast('Map at least one column to a metric', 'warning');
+                        return;
+                    }
+                    
+                    const { records, badRows, clampedCount } = this.buildCSVRecords(rows, chosen, delimiter);
+                    this.reportImportIssues(badRows, clampedCount);
+                    
+                    if (records.length === 0) {
+                        this.showToast('No usable rows in this file', 'error');
+                        return;
+                    }
+                    
+                    this.showImportedRecordPicker(records, fileName);
+                }
+            }
+        ]);
+    }
+    
+    buildCSVRecords(rows, mapping, delimiter) {
+        const records = [];
+        const badRows = [];
+        let clampedCount = 0;
+        
+        rows.forEach((cells, index) => {
+            // +2: one for the header row, one for 1-based numbering
+            const rowNumber = index + 2;
+            const biometrics = {};
+            let valid = true;
+            
+            for (const key of Object.keys(this.biometrics)) {
+                const column = mapping[key];
+                if (column < 0) continue;
+                
+                const value = BiometricCSV.parseNumber(cells[column], delimiter);
+                if (value === null) continue;
+                if (!Number.isFinite(value)) {
+                    valid = false;
+                    break;
+                }
+                
+                // Rounding to the slider step isn't clamping; only out-of-range values are reported
+                const { min, max } = this.getBiometricRange(key);
+                if (value < min || value > max) clampedCount++;
+                biometrics[key] = this.normalizeBiometric(key, value);
+            }
+            
+            if (!valid || Object.keys(biometrics).length === 0) {
+                badRows.push(rowNumber);
+                return;
+            }
+            
+            const label = mapping.label >= 0 ? (cells[mapping.label] || '').trim() : '';
+            const time = this.parseTimelineTime(label);
+            records.push(time === null ? { label: label || `Row ${rowNumber}`, biometrics } : { label, time, biometrics });
+        });
+        
+        return { records, badRows, clampedCount };
+    }
+    
+    reportImportIssues(badRows, clampedCount = 0) {
+        if (badRows.length > 0) {
+            const listed = badRows.slice(0, 5).join(', ');
+            const more = badRows.length > 5 ? ` and ${badRows.length - 5} more` : '';
+            this.showToast(`Skipped ${badRows.length} invalid row${badRows.length === 1 ? '' : 's'}: ${listed}${more}`, 'warning', 5000);
+        }
+        
+        if (clampedCount > 0) {
+            this.showToast(`${clampedCount} value${clampedCount === 1 ? '' : 's'} clamped to the slider ranges`, 'info');
+        }
+    }
+    
+    async importAppleHealthFile(file) {
+        this.showLoading('Reading Apple Health Export', 'Aggregating heart rate, steps and sleep per day...');
+        this.setLoadingProgress(0);
+        
+        try {
+            const days = await this.parseAppleHealthExport(file, (fraction) => this.setLoadingProgress(fraction));
+            const records = this.buildDailyRecords(days);
+            
+            if (records.length === 0) {
+                throw new Error('No heart rate, step or sleep records found');
+            }
+            
+            this.showImportedRecordPicker(records, file.name);
+        } finally {
+            this.hideLoading();
+        }
+    }
+    
+    async parseAppleHealthExport(file, onProgress) {
+        // Exports run to hundreds of MB, so scan the text stream chunk by chunk
+        // rather than building a DOM; only <Record> opening tags are needed
+        const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader();
+        const recordPattern = /<Record\s([^>]*?)\/?>/g;
+        const typePattern = /\btype="([^"]+)"/;
+        const days = new Map();
+        const dayFor = (date) => this.getDailyAccumulator(days, date);
+        
+        let buffer = '';
+        let charactersRead = 0;
+        
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            
+            charactersRead += value.length;
+            buffer += value;
+            
+            // Only parse up to the last complete tag; keep the rest for the next chunk
+            const lastTagEnd = buffer.lastIndexOf('>');
+            if (lastTagEnd < 0) continue;
+            const complete = buffer.slice(0, lastTagEnd + 1);
+            buffer = buffer.slice(lastTagEnd + 1);
+            
+            for (const match of complete.matchAll(recordPattern)) {
+                const type = typePattern.exec(match[1])?.[1];
+                if (!type || !this.isRelevantHealthType(type)) continue;
+                
+                const attributes = this.parseXMLAttributes(match[1]);
+                this.aggregateHealthRecord(type, attributes, dayFor);
+            }
+            
+            onProgress?.(Math.min(1, charactersRead / file.size));
+        }
+        
+        return days;
+    }
+    
+    isRelevantHealthType(type) {
+        return type === 'HKQuantityTypeIdentifierHeartRate'
+            || type === 'HKQuantityTypeIdentifierStepCount'
+            || type === 'HKCategoryTypeIdentifierSleepAnalysis'
+            || type.includes('StateOfMind');
+    }
+    
+    parseXMLAttributes(source) {
+        const attributes = {};
+        for (const [, name, value] of source.matchAll(/([\w:]+)="([^"]*)"/g)) {
+            attributes[name] = value;
+        }
+        return attributes;
+    }
+    
+    parseHealthDate(value) {
+        // "2024-03-05 07:30:00 -0800" -> ISO 8601
+        const match = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/.exec(value || '');
+        return match ? new Date(`${match[1]}T${match[2]}${match[3]}:${match[4]}`) : new Date(NaN);
+    }
+    
+    aggregateHealthRecord(type, attributes, dayFor) {
+        // Days follow the wall-clock date the device recorded, not the browser's zone
+        const source = attributes.sourceName || 'unknown';
+        const value = parseFloat(attributes.value);
+        
+        switch (type) {
+            case 'HKQuantityTypeIdentifierHeartRate': {
+                if (!Number.isFinite(value)) return;
+                this.addHeartRateSample(dayFor(attributes.startDate.slice(0, 10)), this.toHourOfDay(attributes.startDate), value);
+                break;
+            }
+            case 'HKQuantityTypeIdentifierStepCount': {
+                if (!Number.isFinite(value)) return;
+                // Phone and watch both log steps; summed per source, max taken later
+                this.addStepSample(dayFor(attributes.startDate.slice(0, 10)), this.toHourOfDay(attributes.startDate), source, value);
+                break;
+            }
+            case 'HKCategoryTypeIdentifierSleepAnalysis': {
+                // Asleep, AsleepCore, AsleepDeep, AsleepREM, AsleepUnspecified - not InBed/Awake
+                if (!/Asleep/.test(attributes.value)) return;
+                const start = this.parseHealthDate(attributes.startDate);
+                const end = this.parseHealthDate(attributes.endDate);
+                const hours = (end - start) / 3600000;
+                if (!(hours > 0)) return;
+                // Credit the night to the morning it ended
+                const day = dayFor(attributes.endDate.slice(0, 10));
+                day.sleep[source] = (day.sleep[source] || 0) + hours;
+                break;
+            }
+            default: {
+                // State of Mind valence runs from -1 (very unpleasant) to 1 (very pleasant)
+                const valence = parseFloat(attributes.valence ?? attributes.value);
+                if (!Number.isFinite(valence)) return;
+                dayFor(attributes.startDate.slice(0, 10)).valences.push(valence);
+            }
+        }
+    }
+    
+    getDailyAccumulator(days, date) {
+        // Steps and sleep are kept per source so overlapping devices aren't double counted;
+        // hourly buckets feed the timeline replay
+        if (!days.has(date)) {
+            days.set(date, { heartRateSum: 0, heartRateCount: 0, restingHeartRate: null, steps: {}, sleep: {}, valences: [], hours: {} });
+        }
+        return days.get(date);
+    }
+    
+    getHourlyBucket(day, hour) {
+        if (hour === null) return null;
+        if (!day.hours[hour]) {
+            day.hours[hour] = { heartRateSum: 0, heartRateCount: 0, steps: {} };
+        }
+        return day.hours[hour];
+    }
+    
+    addHeartRateSample(day, hour, value) {
+        day.heartRateSum += value;
+        day.heartRateCount++;
+        
+        const bucket = this.getHourlyBucket(day, hour);
+        if (bucket) {
+            bucket.heartRateSum += value;
+            bucket.heartRateCount++;
+        }
+    }
+    
+    addStepSample(day, hour, source, value) {
+        day.steps[source] = (day.steps[source] || 0) + value;
+        
+        const bucket = this.getHourlyBucket(day, hour);
+        if (bucket) {
+            bucket.steps[source] = (bucket.steps[source] || 0) + value;
+        }
+    }
+    
+    toHourOfDay(value) {
+        if (value instanceof Date) return value.getHours();
+        const match = /(\d{1,2}):\d{2}/.exec(String(value || ''));
+        return match ? parseInt(match[1]) : null;
+    }
+    
+    buildHourlySamples(date, day, daily) {
+        const hours = Object.keys(day.hours).map(Number).sort((a, b) => a - b);
+        if (hours.length < 2) return null;
+        
+        // Follow whichever source the daily step total came from, accumulating through the day
+        const stepSource = Object.entries(day.steps).sort(([, a], [, b]) => b - a)[0]?.[0];
+        let stepsSoFar = 0;
+        
+        return hours.map(hour => {
+            const bucket = day.hours[hour];
+            const biometrics = { ...daily };
+            
+            if (bucket.heartRateCount > 0) {
+                biometrics.heartRate = this.normalizeBiometric('heartRate', bucket.heartRateSum / bucket.heartRateCount);
+            }
+            if (stepSource) {
+                stepsSoFar += bucket.steps[stepSource] || 0;
+                biometrics.steps = this.normalizeBiometric('steps', stepsSoFar);
+            }
+            
+            const time = new Date(`${date}T${String(hour).padStart(2, '0')}:00:00`).getTime();
+            return { time, biometrics };
+        });
+    }
+    
+    buildDailyRecords(days) {
+        const maxOf = (bySource) => {
+            const totals = Object.values(bySource);
+            return totals.length > 0 ? Math.max(...totals) : null;
+        };
+        
+        return [...days.entries()]
+            .sort(([a], [b]) => b.localeCompare(a))
+            .map(([date, day]) => {
+                const biometrics = {};
+                
+                if (day.heartRateCount > 0) {
+                    biometrics.heartRate = this.normalizeBiometric('heartRate', day.heartRateSum / day.heartRateCount);
+                } else if (day.restingHeartRate !== null) {
+                    biometrics.heartRate = this.normalizeBiometric('heartRate', day.restingHeartRate);
+                }
+                
+                const steps = maxOf(day.steps);
+                if (steps !== null) biometrics.steps = this.normalizeBiometric('steps', steps);
+                
+                const sleep = maxOf(day.sleep);
+                if (sleep !== null) biometrics.sleepHours = this.normalizeBiometric('sleepHours', sleep);
+                
+                if (day.valences.length > 0) {
+                    const valence = day.valences.reduce((sum, v) => sum + v, 0) / day.valences.length;
+                    biometrics.mood = this.normalizeBiometric('mood', 1 + ((valence + 1) / 2) * 9);
+                }
+                
+                const samples = this.buildHourlySamples(date, day, biometrics);
+                return samples ? { label: date, date, biometrics, samples } : { label: date, date, biometrics };
+            })
+            .filter(record => Object.keys(record.biometrics).length > 0);
+    }
+    
+    async importWearableJSONFiles(files) {
+        const days = new Map();
+        const failures = [];
+        
+        // A broken file is reported on its own; the rest of the batch still imports
+        for (const file of files) {
+            try {
+                const data = JSON.parse(await file.text());
+                const sampleCount = this.aggregateWearableJSON(data, file.name, days);
+                if (sampleCount === 0) {
+                    throw new Error('no heart rate, step or sleep data recognised');
+                }
+            } catch (error) {
+                console.error(`Import of ${file.name} failed:`, error);
+                failures.push(`${file.name}: ${error.message}`);
+            }
+        }
+        
+        failures.slice(0, 3).forEach(failure => this.showToast(`Skipped ${this.escapeHTML(failure)}`, 'warning', 5000));
+        if (failures.length > 3) {
+            this.showToast(`${failures.length - 3} more files could not be read`, 'warning', 5000);
+        }
+        
+        const records = this.buildDailyRecords(days);
+        if (records.length === 0) {
+            if (failures.length === 0) throw new Error('No daily data found');
+            return;
+        }
+        
+        const imported = files.length - failures.length;
+        this.showImportedRecordPicker(records, files.length === 1 ? files[0].name : `${imported} of ${files.length} files`);
+    }
+    
+    aggregateWearableJSON(data, fileName, days) {
+        if (Array.isArray(data?.['Data Points'])) {
+            return this.aggregateGoogleFitPoints(data['Data Points'], data['Data Source'] || fileName, days);
+        }
+        
+        if (Array.isArray(data)) {
+            return this.aggregateFitbitExport(data, fileName, days);
+        }
+        
+        if (data && typeof data === 'object') {
+            return this.aggregateFitbitAPIResponse(data, days);
+        }
+        
+        return 0;
+    }
+    
+    aggregateGoogleFitPoints(points, source, days) {
+        // Google Fit "All data" files: one data source per file, timestamps in nanoseconds
+        const sleepSegments = new Set([2, 4, 5, 6]); // sleep, light, deep, REM
+        let count = 0;
+        
+        for (const point of points) {
+            const start = new Date(Number(point.startTimeNanos) / 1e6);
+            const end = new Date(Number(point.endTimeNanos) / 1e6);
+            const value = point.fitValue?.[0]?.value || {};
+            if (isNaN(start) || isNaN(end)) continue;
+            
+            switch (point.dataTypeName) {
+                case 'com.google.heart_rate.bpm': {
+                    if (!Number.isFinite(value.fpVal)) continue;
+                    this.addHeartRateSample(this.getDailyAccumulator(days, this.toDateKey(start)), start.getHours(), value.fpVal);
+                    break;
+                }
+                case 'com.google.step_count.delta': {
+                    if (!Number.isFinite(value.intVal)) continue;
+                    this.addStepSample(this.getDailyAccumulator(days, this.toDateKey(start)), start.getHours(), source, value.intVal);
+                    break;
+                }
+                case 'com.google.sleep.segment': {
+                    if (!sleepSegments.has(value.intVal)) continue;
+                    const day = this.getDailyAccumulator(days, this.toDateKey(end));
+                    day.sleep[source] = (day.sleep[source] || 0) + (end - start) / 3600000;
+                    break;
+                }
+                default:
+                    continue;
+            }
+            count++;
+        }
+        
+        return count;
+    }
+    
+    aggregateFitbitExport(entries, fileName, days) {
+        // Fitbit's account export: heart_rate-*.json, resting_heart_rate-*.json, steps-*.json, sleep-*.json
+        const kind = fileName.toLowerCase();
+        let count = 0;
+        
+        for (const entry of entries) {
+            if (entry?.dateOfSleep) {
+                if (!Number.isFinite(entry.minutesAsleep)) continue;
+                const day = this.getDailyAccumulator(days, this.toDateKey(entry.dateOfSleep));
+                day.sleep.Fitbit = (day.sleep.Fitbit || 0) + entry.minutesAsleep / 60;
+            } else if (Number.isFinite(entry?.value?.bpm)) {
+                const day = this.getDailyAccumulator(days, this.toDateKey(entry.dateTime));
+                this.addHeartRateSample(day, this.toHourOfDay(entry.dateTime), entry.value.bpm);
+            } else if (kind.startsWith('resting_heart_rate') && Number.isFinite(entry?.value?.value)) {
+                this.getDailyAccumulator(days, this.toDateKey(entry.value.date || entry.dateTime)).restingHeartRate = entry.value.value;
+            } else if (kind.startsWith('steps') && entry?.dateTime) {
+                const steps = Number(entry.value);
+                if (!Number.isFinite(steps)) continue;
+                const day = this.getDailyAccumulator(days, this.toDateKey(entry.dateTime));
+                this.addStepSample(day, this.toHourOfDay(entry.dateTime), 'Fitbit', steps);
+            } else {
+                continue;
+            }
+            count++;
+        }
+        
+        return count;
+    }
+    
+    aggregateFitbitAPIResponse(data, days) {
+        // Fitbit Web API per-day responses, e.g. activities/heart/date/2024-03-05/1d.json
+        let count = 0;
+        
+        for (const entry of data['activities-heart'] || []) {
+            const day = this.getDailyAccumulator(days, this.toDateKey(entry.dateTime));
+            const intraday = data['activities-heart-intraday']?.dataset || [];
+            
+            if (Number.isFinite(entry.value?.restingHeartRate)) {
+                day.restingHeartRate = entry.value.restingHeartRate;
+                count++;
+            }
+            // Intraday samples only belong to a single-day response
+            if (data['activities-heart'].length === 1) {
+                for (const sample of intraday) {
+                    if (!Number.isFinite(sample.value)) continue;
+                    this.addHeartRateSample(day, this.toHourOfDay(sample.time), sample.value);
+                    count++;
+                }
+            }
+        }
+        
+        for (const entry of data['activities-steps'] || []) {
+            const steps = Number(entry.value);
+            if (!Number.isFinite(steps)) continue;
+            this.addStepSample(this.getDailyAccumulator(days, this.toDateKey(entry.dateTime)), null, 'Fitbit', steps);
+            count++;
+        }
+        
+        for (const entry of data.sleep || []) {
+            if (!entry.dateOfSleep || !Number.isFinite(entry.minutesAsleep)) continue;
+            const day = this.getDailyAccumulator(days, this.toDateKey(entry.dateOfSleep));
+            day.sleep.Fitbit = (day.sleep.Fitbit || 0) + entry.minutesAsleep / 60;
+            count++;
+        }
+        
+        return count;
+    }
+    
+    toDateKey(value) {
+        if (value instanceof Date) {
+            const pad = (n) => String(n).padStart(2, '0');
+            return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+        }
+        
+        // Fitbit exports use "MM/DD/YY HH:MM:SS"; everything else is ISO-like
+        const text = String(value || '');
+        const usDate = /^(\d{2})\/(\d{2})\/(\d{2,4})/.exec(text);
+        if (usDate) {
+            const year = usDate[3].length === 2 ? `20${usDate[3]}` : usDate[3];
+            return `${year}-${usDate[1]}-${usDate[2]}`;
+        }
+        
+        if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+        throw new Error(`unrecognised date "${text}"`);
+    }
+    
+    showImportedRecordPicker(records, sourceName) {
+        this.importedRecords = { source: sourceName, records };
+        
+        const options = records
+            .map((record, index) => `<option value="${index}">${this.escapeHTML(record.label)}</option>`)
+            .join('');
+        const dates = records.map(record => record.date).filter(Boolean).sort();
+        const datePicker = dates.length > 0 ? `
+            <label class="modal-option">
+                <span>Jump to date</span>
+                <input type="date" id="importRecordDate" min="${dates[0]}" max="${dates[dates.length - 1]}">
+            </label>` : '';
+        
+        const renderRecord = (body) => {
+            const record = records[parseInt(body.querySelector('#importRecord').value)];
+            if (!record) return;
+            
+            this.closeModal();
+            this.animateToNewValues(record.biometrics);
+            this.showToast(`Rendering ${this.escapeHTML(record.label)}`, 'success');
+        };
+        
+        const timelineAction = { label: 'Play Timeline', icon: 'play', onClick: (body) => {
+            const record = records[parseInt(body.querySelector('#importRecord').value)];
+            this.closeModal();
+            this.playImportedTimeline(record, records, sourceName);
+        } };
+        const canReplay = records.some(record => record.samples) || records.filter(record => record.time ?? record.date).length > 1;
+        
+        const body = this.openModal('Choose a Day', `
+            <p class="modal-hint">${records.length} ${records.length === 1 ? 'day' : 'days'} imported from ${this.escapeHTML(sourceName)}.</p>${datePicker}
+            <select class="modal-select import-record-list" id="importRecord" size="8">${options}</select>
+            <dl class="import-preview" id="importRecordPreview"></dl>
+        `, [
+            { label: 'Cancel', icon: 'times', onClick: () => this.closeModal() },
+            ...(canReplay ? [timelineAction] : []),
+            { label: 'Render', icon: 'magic', variant: 'primary', onClick: renderRecord }
+        ]);
+        if (!body) return;
+        
+        const select = body.querySelector('#importRecord');
+        const updatePreview = () => {
+            const record = records[parseInt(select.value)];
+            body.querySelector('#importRecordPreview').innerHTML = Object.entries(record?.biometrics || {})
+                .map(([key, value]) => `<dt>${this.core.biometricLabels[key]}</dt><dd>${this.formatBiometricValue(key, value)}</dd>`)
+                .join('');
+        };
+        
+        const dateInput = body.querySelector('#importRecordDate');
+        const syncDate = () => {
+            if (dateInput) dateInput.value = records[parseInt(select.value)]?.date || '';
+        };
+        
+        dateInput?.addEventListener('change', () => {
+            const index = records.findIndex(record => record.date === dateInput.value);
+            if (index < 0) {
+                this.showToast(`No data for ${this.escapeHTML(dateInput.value)}`, 'warning');
+                return;
+            }
+            select.value = String(index);
+            updatePreview();
+        });
+        select.addEventListener('change', () => {
+            updatePreview();
+            syncDate();
+        });
+        select.addEventListener('dblclick', () => renderRecord(body));
+        select.value = '0';
+        updatePreview();
+        syncDate();
+    }
+    
+    setupLiveSource() {
+        this.setupActionButton('liveBtn', this.showLiveSourceDialog.bind(this), 'Live stream settings');
+        document.getElementById('liveStatus')?.addEventListener('click', () => this.showLiveSourceDialog());
+        window.addEventListener('beforeunload', () => this.disconnectLiveSource());
+    }
+    
+    showLiveSourceDialog() {
+        const connected = Boolean(this.liveSource.connection);
+        const dismissAction = connected
+            ? { label: 'Disconnect', icon: 'plug', onClick: () => { this.disconnectLiveSource(); this.closeModal(); } }
+            : { label: 'Cancel', icon: 'times', onClick: () => this.closeModal() };
+        
+        this.openModal('Live Biometric Stream', `
+            <p class="modal-hint">Connect to a WebSocket (ws://, wss://) or Server-Sent Events (http://, https://) endpoint
+                that sends JSON such as <code>{"heartRate": 72, "stress": 4}</code>. Missing metrics keep their current values.</p>
+            <label class="modal-option">
+                <span>Stream URL</span>
+                <input type="url" id="liveSourceURL" value="${this.escapeHTML(this.liveSource.url)}" placeholder="ws://localhost:8765" spellcheck="false">
+            </label>
+            <label class="modal-option">
+                <span>Smoothing</span>
+                <input type="range" id="liveSmoothing" min="0" max="0.95" step="0.05" value="${1 - this.liveSource.smoothing}">
+            </label>
+            <p class="modal-hint">Higher smoothing follows the stream more slowly but hides jitter.
+                Test without a wearable: <code>node scripts/mock-stream-server.js data.csv</code></p>
+        `, [
+            dismissAction,
+            {
+                label: connected ? 'Reconnect' : 'Connect',
+                icon: 'broadcast-tower',
+                variant: 'primary',
+                onClick: (body) => {
+                    const url = body.querySelector('#liveSourceURL').value.trim();
+                    const smoothing = 1 - parseFloat(body.querySelector('#liveSmoothing').value);
+                    
+                    if (!/^(wss?|https?):\/\//i.test(url)) {
+                        this.showToast('Use a ws://, wss://, http:// or https:// URL', 'warning');
+                        return;
+                    }
+                    
+                    this.liveSource.smoothing = Math.max(0.05, Math.min(1, smoothing));
+                    this.saveLocalSetting('liveSmoothing', this.liveSource.smoothing);
+                    this.closeModal();
+                    this.connectLiveSource(url);
+                }
+            }
+        ]);
+    }
+    
+    connectLiveSource(url) {
+        this.disconnectLiveSource();
+        this.closeTimeline();
+        
+        this.liveSource.url = url;
+        this.liveSource.retryCount = 0;
+        this.liveSource.smoothed = { ...this.biometrics };
+        this.liveSource.layoutKey = this.getLayoutKey();
+        this.saveLocalSetting('liveSourceURL', url);
+        
+        this.openLiveConnection();
+    }
+    
+    openLiveConnection() {
+        const { url } = this.liveSource;
+        const useWebSocket = /^wss?:/i.test(url);
+        
+        this.setLiveStatus(this.liveSource.retryCount > 0 ? 'reconnecting' : 'connecting');
+        
+        try {
+            const connection = useWebSocket ? new WebSocket(url) : new EventSource(url);
+            this.liveSource.connection = connection;
+            
+            connection.onopen = () => {
+                this.liveSource.retryCount = 0;
+                this.setLiveStatus('live');
+                this.announce('Live stream connected');
+            };
+            
+            connection.onmessage = (e) => this.handleLiveMessage(e.data);
+            
+            // EventSource retries on its own with no backoff; close it and use ours for both
+            connection.onerror = () => {
+                if (this.liveSource.connection !== connection) return;
+                console.warn(`Live stream error (${url})`);
+                if (!useWebSocket) this.scheduleLiveReconnect();
+            };
+            
+            if (useWebSocket) {
+                connection.onclose = () => {
+                    if (this.liveSource.connection === connection) this.scheduleLiveReconnect();
+                };
+            }
+        } catch (error) {
+            console.error('Could not open live stream:', error);
+            this.liveSource.connection = null;
+            this.setLiveStatus('error', 'Invalid URL');
+            this.showToast(`Could not connect: ${this.escapeHTML(error.message)}`, 'error');
+        }
+    }
+    
+    scheduleLiveReconnect() {
+        const connection = this.liveSource.connection;
+        if (connection) {
+            connection.onclose = null;
+            connection.close();
+        }
+        
+        // Exponential backoff: 1s, 2s, 4s ... capped
+        const delay = Math.min(this.liveSource.maxRetryDelay, 1000 * 2 ** this.liveSource.retryCount);
+        this.liveSource.retryCount++;
+        this.setLiveStatus('reconnecting', `Retrying in ${Math.round(delay / 1000)}s`);
+        
+        clearTimeout(this.liveSource.retryTimer);
+        this.liveSource.retryTimer = setTimeout(() => this.openLiveConnection(), delay);
+    }
+    
+    disconnectLiveSource() {
+        const connection = this.liveSource.connection;
+        this.liveSource.connection = null;
+        
+        clearTimeout(this.liveSource.retryTimer);
+        cancelAnimationFrame(this.liveSource.frame);
+        this.liveSource.frame = null;
+        
+        if (connection) {
+            connection.onclose = null;
+            connection.close();
+            this.setLiveStatus('offline');
+            this.announce('Live stream disconnected');
+        }
+    }
+    
+    setLiveStatus(status, detail = '') {
+        this.liveSource.status = status;
+        
+        const indicator = document.getElementById('liveStatus');
+        const text = document.getElementById('liveStatusText');
+        if (!indicator || !text) return;
+        
+        const labels = { connecting: 'Connecting', live: 'Live', reconnecting: 'Reconnecting', error: 'Error', offline: 'Offline' };
+        indicator.hidden = status === 'offline';
+        indicator.className = `live-status ${status}`;
+        text.textContent = detail ? `${labels[status]} · ${detail}` : labels[status];
+        indicator.title = `${labels[status]}: ${this.liveSource.url}`;
+    }
+    
+    handleLiveMessage(data) {
+        let sample;
+        try {
+            sample = JSON.parse(data);
+        } catch (error) {
+            console.warn('Ignoring non-JSON live message:', data);
+            return;
+        }
+        
+        // Accept {heartRate: 72}, the short share names {hr: 72}, or either wrapped in {biometrics: ...}
+        const source = sample?.biometrics || sample;
+        if (!source || typeof source !== 'object') return;
+        
+        let changed = false;
+        for (const [key, shortName] of Object.entries(this.shareParams)) {
+            const value = parseFloat(source[key] ?? source[shortName]);
+            if (!Number.isFinite(value)) continue;
+            
+            // Exponential moving average so a noisy sensor doesn't make the mandala flicker
+            const { min, max } = this.getBiometricRange(key);
+            const target = Math.max(min, Math.min(max, value));
+            const previous = this.liveSource.smoothed[key] ?? this.biometrics[key];
+            this.liveSource.smoothed[key] = previous + (target - previous) * this.liveSource.smoothing;
+            
+            this.biometrics[key] = this.normalizeBiometric(key, this.liveSource.smoothed[key]);
+            changed = true;
+        }
+        
+        if (changed && !this.liveSource.frame) {
+            this.liveSource.frame = requestAnimationFrame(() => this.renderLiveFrame());
+        }
+    }
+    
+    renderLiveFrame() {
+        this.liveSource.frame = null;
+        this.refreshDrivenBiometrics(this.liveSource);
+    }
+    
+    refreshDrivenBiometrics(driver) {
+        // Shared by the live stream and the timeline, which set this.biometrics directly
+        this.syncControlsToBiometrics();
+        this.updateMandala();
+        this.updateSizeEffects();
+        
+        // Rebuild the geometry only when the layer count or pattern style actually changes
+        const layoutKey = this.getLayoutKey();
+        if (layoutKey !== driver.layoutKey) {
+            driver.layoutKey = layoutKey;
+            this.queueGeneration();
+        }
+    }
+    
+    getLayoutKey() {
+        try {
+            const { complexity, patternStyle } = this.calculateMandalaParameters(paper.view.size.width, paper.view.size.height);
+            const folds = this.symmetry.driver ? this.core.getFoldCount(this.biometrics, this.symmetry, 0) : '';
+            return `${complexity}:${patternStyle}:${this.getPatternCandidates(patternStyle).join(',')}:${folds}`;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    setupTimeline() {
+        document.getElementById('timelinePlayBtn')?.addEventListener('click', () => this.toggleTimelinePlayback());
+        document.getElementById('timelineCloseBtn')?.addEventListener('click', () => this.closeTimeline());
+        
+        document.getElementById('timelineSpeed')?.addEventListener('change', (e) => {
+            this.timeline.speed = parseFloat(e.target.value) || 1;
+        });
+        
+        document.getElementById('timelineScrubber')?.addEventListener('input', (e) => {
+            if (this.timeline.samples.length === 0) return;
+            this.timeline.position = (parseInt(e.target.value) / 1000) * this.getTimelineSpan();
+            this.timeline.lastTick = null;
+            this.renderTimelinePosition();
+        });
+    }
+    
+    parseTimelineTime(label) {
+        // Only labels that look like dates; Date.parse("3") would happily return 2001
+        if (!/\d{4}-\d{2}-\d{2}|\d{1,2}\/\d{1,2}\/\d{2,4}/.test(label)) return null;
+        
+        // Date.parse reads a bare "2024-03-04" as UTC midnight, but the hourly samples and labels are local
+        const dateOnly = label.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (dateOnly) {
+            const [, year, month, day] = dateOnly.map(Number);
+            return new Date(year, month - 1, day).getTime();
+        }
+        
+        const time = Date.parse(label);
+        return Number.isFinite(time) ? time : null;
+    }
+    
+    playImportedTimeline(record, records, sourceName) {
+        // A day with hourly data replays that day; otherwise step through every imported day
+        if (record?.samples) {
+            this.startTimeline(record.samples, record.label);
+            return;
+        }
+        
+        const samples = records
+            .map(entry => ({ time: entry.time ?? this.parseTimelineTime(entry.date || ''), biometrics: entry.biometrics }))
+            .filter(sample => sample.time !== null);
+        this.startTimeline(samples, sourceName);
+    }
+    
+    startTimeline(samples, title) {
+        const sorted = samples.filter(sample => Number.isFinite(sample.time)).sort((a, b) => a.time - b.time);
+        if (sorted.length < 2 || sorted[sorted.length - 1].time === sorted[0].time) {
+            this.showToast('A timeline needs at least two samples at different times', 'warning');
+            return;
+        }
+        
+        this.disconnectLiveSource();
+        this.pauseTimeline();
+        
+        // Carry each metric forward so every sample is complete and interpolation never hits a gap
+        let carried = { ...this.biometrics };
+        this.timeline.samples = sorted.map(sample => {
+            carried = { ...carried, ...sample.biometrics };
+            return { time: sample.time, biometrics: carried };
+        });
+        this.timeline.title = title;
+        this.timeline.position = 0;
+        this.timeline.layoutKey = this.getLayoutKey();
+        
+        const titleElement = document.getElementById('timelineTitle');
+        if (titleElement) titleElement.textContent = title;
+        this.setTimelineVisible(true);
+        
+        this.renderTimelinePosition();
+        this.playTimeline();
+        this.showToast(`Replaying ${sorted.length} samples from ${this.escapeHTML(title)}`, 'info');
+    }
+    
+    setTimelineVisible(visible) {
+        const bar = document.getElementById('timelineBar');
+        if (bar) bar.hidden = !visible;
+        document.querySelector('.mandala-main')?.classList.toggle('timeline-active', visible);
+        
+        // The canvas shrinks to make room for the bar
+        this.handleCanvasResize();
+    }
+    
+    getTimelineSpan() {
+        const { samples } = this.timeline;
+        return samples[samples.length - 1].time - samples[0].time;
+    }
+    
+    toggleTimelinePlayback() {
+        if (this.timeline.playing) {
+            this.pauseTimeline();
+        } else {
+            this.playTimeline();
+        }
+    }
+    
+    playTimeline() {
+        if (this.timeline.playing || this.timeline.samples.length === 0) return;
+        
+        // Pressing play at the end starts over
+        if (this.timeline.position >= this.getTimelineSpan()) {
+            this.timeline.position = 0;
+        }
+        
+        this.timeline.playing = true;
+        this.timeline.lastTick = null;
+        this.timeline.frame = requestAnimationFrame((now) => this.tickTimeline(now));
+        this.updateTimelineButton();
+        this.announce('Timeline playing');
+    }
+    
+    pauseTimeline() {
+        if (!this.timeline.playing) return;
+        
+        this.timeline.playing = false;
+        cancelAnimationFrame(this.timeline.frame);
+        this.timeline.frame = null;
+        this.updateTimelineButton();
+        this.announce('Timeline paused');
+    }
+    
+    closeTimeline() {
+        if (this.timeline.samples.length === 0) return;
+        
+        this.pauseTimeline();
+        this.timeline.samples = [];
+        this.setTimelineVisible(false);
+    }
+    
+    tickTimeline(now) {
+        const { timeline } = this;
+        if (!timeline.playing) return;
+        
+        const span = this.getTimelineSpan();
+        if (timeline.lastTick !== null) {
+            const elapsed = now - timeline.lastTick;
+            timeline.position = Math.min(span, timeline.position + elapsed * (span / timeline.baseDuration) * timeline.speed);
+        }
+        timeline.lastTick = now;
+        
+        this.renderTimelinePosition();
+        
+        if (timeline.position >= span) {
+            this.pauseTimeline();
+            return;
+        }
+        
+        timeline.frame = requestAnimationFrame((next) => this.tickTimeline(next));
+    }
+    
+    renderTimelinePosition() {
+        const { samples, position } = this.timeline;
+        const span = this.getTimelineSpan();
+        const time = samples[0].time + position;
+        
+        const values = this.getTimelineBiometrics(time);
+        for (const [key, value] of Object.entries(values)) {
+            this.biometrics[key] = this.normalizeBiometric(key, value);
+        }
+        this.refreshDrivenBiometrics(this.timeline);
+        
+        const scrubber = document.getElementById('timelineScrubber');
+        if (scrubber) scrubber.value = Math.round((position / span) * 1000);
+        
+        const timeLabel = document.getElementById('timelineTime');
+        if (timeLabel) timeLabel.textContent = this.formatTimelineTime(time, span);
+    }
+    
+    getTimelineBiometrics(time) {
+        const { samples } = this.timeline;
+        
+        // Binary search for the sample pair that brackets this time
+        let low = 0;
+        let high = samples.length - 1;
+        while (high - low > 1) {
+            const middle = (low + high) >> 1;
+            if (samples[middle].time <= time) low = middle;
+            else high = middle;
+        }
+        
+        const from = samples[low];
+        const to = samples[high];
+        const t = Math.max(0, Math.min(1, (time - from.time) / (to.time - from.time)));
+        
+        // Same easeInOutQuart curve animateToNewValues uses between slider values
+        const eased = t < 0.5 ? 8 * t ** 4 : 1 - (-2 * t + 2) ** 4 / 2;
+        
+        const values = {};
+        for (const key of Object.keys(from.biometrics)) {
+            values[key] = from.biometrics[key] + (to.biometrics[key] - from.biometrics[key]) * eased;
+        }
+        return values;
+    }
+    
+    formatTimelineTime(time, span) {
+        const date = new Date(time);
+        
+        // A single day only needs the clock; longer spans need the day too
+        if (span <= 36 * 3600000) {
+            return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        }
+        return date.toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    }
+    
+    updateTimelineButton() {
+        const button = document.getElementById('timelinePlayBtn');
+        if (!button) return;
+        
+        button.innerHTML = `<i class="fas fa-${this.timeline.playing ? 'pause' : 'play'}"></i>`;
+        button.setAttribute('aria-label', this.timeline.playing ? 'Pause timeline' : 'Play timeline');
+    }
+    
+    async setupJournal() {
+        if (!this.capabilities.indexedDB) return;
+        
+        document.getElementById('journalList')?.addEventListener('click', (e) => {
+            const entryButton = e.target.closest('.journal-entry');
+            if (entryButton) {
+                this.restoreJournalEntry(parseInt(entryButton.dataset.id));
+            }
+        });
+        
+        this.setupActionButton('clearJournalBtn', this.clearJournal.bind(this), 'Clear mandala journal');
+        this.setupActionButton('galleryBtn', () => this.showGallery(), 'Open mandala gallery');
+        
+        try {
+            await this.renderJournal();
+        } catch (error) {
+            console.error('Journal unavailable:', error);
+        }
+    }
+    
+    openJournalDatabase() {
+        if (this.journal.db) return Promise.resolve(this.journal.db);
+        
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.journal.databaseName, this.journal.version);
+            
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('entries')) {
+                    const store = db.createObjectStore('entries', { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('timestamp', 'timestamp');
+                }
+            };
+            request.onsuccess = () => {
+                this.journal.db = request.result;
+                resolve(this.journal.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    async journalRequest(mode, operation) {
+        const db = await this.openJournalDatabase();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('entries', mode);
+            const request = operation(transaction.objectStore('entries'));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+    
+    getJournalEntries() {
+        return this.journalRequest('readonly', store => store.getAll());
+    }
+    
+    async getRecentJournalEntries(limit) {
+        // Newest first through the timestamp index, so the list doesn't load every thumbnail ever saved
+        const entries = [];
+        await this.journalRequest('readonly', store => {
+            const request = store.index('timestamp').openCursor(null, 'prev');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || entries.length >= limit) return;
+                entries.push(cursor.value);
+                cursor.continue();
+            };
+            return null;
+        });
+        return entries;
+    }
+    
+    countJournalEntries() {
+        return this.journalRequest('readonly', store => store.count());
+    }
+    
+    getJournalEntry(id) {
+        return this.journalRequest('readonly', store => store.get(id));
+    }
+    
+    addJournalEntry(entry) {
+        return this.journalRequest('readwrite', store => {
+            const request = store.add(entry);
+            
+            // Past the cap the oldest entries make room, in the same transaction
+            const countRequest = store.count();
+            countRequest.onsuccess = () => {
+                let excess = countRequest.result - this.journal.maxEntries;
+                if (excess <= 0) return;
+                
+                const cursorRequest = store.index('timestamp').openCursor();
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (!cursor || excess <= 0) return;
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                };
+            };
+            
+            return request;
+        });
+    }
+    
+    deleteJournalEntry(id) {
+        return this.journalRequest('readwrite', store => store.delete(id));
+    }
+    
+    async recordJournalEntry(details) {
+        if (!this.capabilities.indexedDB) return;
+        
+        // Live feeds and replays regenerate constantly; only deliberate mandalas are journaled
+        if (this.liveSource.connection || this.timeline.samples.length > 0) return;
+        
+        // Resizes and re-renders of the same state are not new journal entries
+        const signature = JSON.stringify(this.biometrics);
+        if (signature === this.journal.lastSignature) return;
+        this.journal.lastSignature = signature;
+        
+        try {
+            await this.addJournalEntry({
+                type: 'mandala',
+                timestamp: Date.now(),
+                biometrics: { ...this.biometrics },
+                wellnessScore: this.calculateWellnessScore(),
+                paletteName: details.palette.name,
+                patternStyle: details.patternStyle,
+                complexity: details.complexity,
+                // What it was drawn with, so later exports match the thumbnail after settings change
+                palette: { ...details.palette, colors: [...details.palette.colors] },
+                symmetry: { ...this.symmetry },
+                thumbnail: this.createThumbnail()
+            });
+            await this.renderJournal();
+        } catch (error) {
+            console.warn('Unable to save journal entry:', error);
+        }
+    }
+    
+    createThumbnail(size = 160) {
+        try {
+            const layout = this.getExportLayout(size, size);
+            const snapshot = this.renderMandalaSnapshot(layout.width, layout.height, { scale: layout.scale });
+            const dataURL = snapshot.view.element.toDataURL('image/jpeg', 0.8);
+            snapshot.remove();
+            return dataURL;
+        } catch (error) {
+            console.warn('Unable to create thumbnail:', error);
+            return null;
+        }
+    }
+    
+    async renderJournal() {
+        const list = document.getElementById('journalList');
+        const countElement = document.getElementById('journalCount');
+        if (!list) return;
+        
+        const [entries, total] = await Promise.all([
+            this.getRecentJournalEntries(this.journal.listLimit),
+            this.countJournalEntries()
+        ]);
+        
+        const latestMandala = entries.find(entry => entry.type === 'mandala');
+        if (latestMandala && !this.journal.lastSignature) {
+            this.journal.lastSignature = JSON.stringify(latestMandala.biometrics);
+        }
+        
+        if (countElement) {
+            countElement.textContent = `${total} ${total === 1 ? 'entry' : 'entries'}`;
+        }
+        
+        if (entries.length === 0) {
+            list.innerHTML = '<li class="journal-empty">Generated mandalas will appear here</li>';
+            return;
+        }
+        
+        list.innerHTML = entries.map(entry => {
+            const date = new Date(entry.timestamp).toLocaleString([], {
+                month: 'short',
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+            const isBreathing = entry.type === 'breathing';
+            const thumbnail = entry.thumbnail
+                ? `<img src="${entry.thumbnail}" alt="" class="journal-thumbnail">`
+                : `<span class="journal-thumbnail"><i class="fas fa-${isBreathing ? 'wind' : 'dharmachakra'}"></i></span>`;
+            const meta = isBreathing
+                ? `${date} · ${entry.cycles} breaths, ${Math.round(entry.durationSeconds / 60)} min`
+                : `${date} · Score ${entry.wellnessScore}`;
+            
+            return `
+                <li>
+                    <button class="journal-entry" data-id="${entry.id}" title="${isBreathing ? 'View this session' : 'Restore this mandala'}">
+                        ${thumbnail}
+                        <span class="journal-entry-info">
+                            <span class="journal-entry-name">${this.escapeHTML(isBreathing ? entry.patternName : entry.paletteName)}</span>
+                            <span class="journal-entry-meta">${meta}</span>
+                        </span>
+                    </button>
+                </li>
+            `;
+        }).join('');
+    }
+    
+    async restoreJournalEntry(id) {
+        try {
+            const entry = await this.getJournalEntry(id);
+            if (!entry) {
+                this.showToast('Journal entry not found', 'warning');
+                return;
+            }
+            
+            if (entry.type === 'breathing') {
+                this.showBreathingSummary(entry);
+                return;
+            }
+            
+            this.animateToNewValues(entry.biometrics);
+            this.showToast(`Restored mandala from ${new Date(entry.timestamp).toLocaleString()}`, 'success');
+        } catch (error) {
+            console.error('Failed to restore journal entry:', error);
+            this.showToast('Could not restore that mandala', 'error');
+        }
+    }
+    
+    async clearJournal() {
+        if (!window.confirm('Delete every mandala in your journal? This cannot be undone.')) return;
+        
+        await this.journalRequest('readwrite', store => store.clear());
+        this.journal.lastSignature = null;
+        await this.renderJournal();
+        this.showToast('Journal cleared', 'info');
+    }
+    
+    getWellnessBand(score) {
+        return [...this.wellnessBands].reverse().find(band => score >= band.min) || this.wellnessBands[0];
+    }
+    
+    async showGallery() {
+        const entries = (await this.getJournalEntries())
+            .filter(entry => entry.type === 'mandala')
+            .sort((a, b) => b.timestamp - a.timestamp);
+        
+        if (entries.length === 0) {
+            this.showToast('Generate a mandala first - the gallery shows your journal', 'info');
+            return;
+        }
+        
+        const selected = new Set();
+        let visible = entries;
+        
+        const paletteNames = [...new Set(entries.map(entry => entry.paletteName))].sort();
+        const parseDay = (value, endOfDay) => {
+            if (!value) return null;
+            const [year, month, day] = value.split('-').map(Number);
+            return endOfDay ? new Date(year, month - 1, day, 23, 59, 59, 999).getTime() : new Date(year, month - 1, day).getTime();
+        };
+        
+        const renderGrid = (body) => {
+            const from = parseDay(body.querySelector('#galleryFrom').value, false);
+            const to = parseDay(body.querySelector('#galleryTo').value, true);
+            const paletteName = body.querySelector('#galleryPalette').value;
+            const band = body.querySelector('#galleryBand').value;
+            
+            visible = entries.filter(entry =>
+                (from === null || entry.timestamp >= from) &&
+                (to === null || entry.timestamp <= to) &&
+                (!paletteName || entry.paletteName === paletteName) &&
+                (!band || this.getWellnessBand(entry.wellnessScore).id === band));
+            
+            // Bulk actions only ever apply to mandalas the user can see
+            const visibleIds = new Set(visible.map(entry => entry.id));
+            selected.forEach(id => { if (!visibleIds.has(id)) selected.delete(id); });
+            
+            const grid = body.querySelector('#galleryGrid');
+            grid.innerHTML = visible.length === 0
+                ? '<li class="journal-empty">No mandalas match these filters.</li>'
+                : visible.map(entry => {
+                    const date = new Date(entry.timestamp).toLocaleString([], {
+                        year: 'numeric',
+                        month: 'short',
+                        day: 'numeric',
+                        hour: '2-digit',
+                        minute: '2-digit'
+                    });
+                    const thumbnail = entry.thumbnail
+                        ? `<img src="${entry.thumbnail}" alt="" class="gallery-thumbnail">`
+                        : '<span class="gallery-thumbnail"><i class="fas fa-dharmachakra"></i></span>';
+                    
+                    return `
+                        <li class="gallery-item ${selected.has(entry.id) ? 'selected' : ''}" data-id="${entry.id}">
+                            <input type="checkbox" class="gallery-check" ${selected.has(entry.id) ? 'checked' : ''} aria-label="Select mandala from ${date}">
+                            <button type="button" class="gallery-open" title="Open on the canvas">${thumbnail}</button>
+                            <span class="journal-entry-name">${this.escapeHTML(entry.paletteName)}</span>
+                            <span class="journal-entry-meta">${date} · Score ${entry.wellnessScore}</span>
+                        </li>
+                    `;
+                }).join('');
+            
+            updateSelection(body);
+        };
+        
+        // Checkbox changes update in place so keyboard focus stays put
+        const updateSelection = (body) => {
+            body.querySelectorAll('.gallery-item').forEach(item => {
+                const isSelected = selected.has(parseInt(item.dataset.id));
+                item.classList.toggle('selected', isSelected);
+                item.querySelector('.gallery-check').checked = isSelected;
+            });
+            
+            body.querySelector('#gallerySelectAll').checked = visible.length > 0 && selected.size === visible.length;
+            body.querySelector('#gallerySummary').textContent =
+                `${visible.length} of ${entries.length} shown · ${selected.size} selected`;
+        };
+        
+        const getSelection = () => {
+            const chosen = visible.filter(entry => selected.has(entry.id));
+            if (chosen.length === 0) {
+                this.showToast('Select one or more mandalas first', 'warning');
+            }
+            return chosen;
+        };
+        
+        const body = this.openModal('Mandala Gallery', `
+            <div class="modal-inline-fields gallery-filters">
+                <label>From <input type="date" id="galleryFrom"></label>
+                <label>To <input type="date" id="galleryTo"></label>
+                <label>Palette
+                    <select class="modal-select" id="galleryPalette">
+                        <option value="">All palettes</option>
+                        ${paletteNames.map(name => `<option value="${this.escapeHTML(name)}">${this.escapeHTML(name)}</option>`).join('')}
+                    </select>
+                </label>
+                <label>Wellness
+                    <select class="modal-select" id="galleryBand">
+                        <option value="">All scores</option>
+                        ${this.wellnessBands.map(band => `<option value="${band.id}">${band.label}</option>`).join('')}
+                    </select>
+                </label>
+            </div>
+            <div class="journal-toolbar gallery-toolbar">
+                <label class="modal-option"><input type="checkbox" id="gallerySelectAll"> Select all shown</label>
+                <span class="journal-count" id="gallerySummary"></span>
+            </div>
+            <ul class="gallery-grid" id="galleryGrid"></ul>
+        `, [
+            {
+                label: 'Delete',
+                icon: 'trash-alt',
+                onClick: async (body) => {
+                    const chosen = getSelection();
+                    if (chosen.length === 0) return;
+                    if (!await this.deleteGalleryEntries(chosen)) return;
+                    
+                    chosen.forEach(entry => {
+                        entries.splice(entries.indexOf(entry), 1);
+                        selected.delete(entry.id);
+                    });
+                    if (entries.length === 0) {
+                        this.closeModal();
+                        return;
+                    }
+                    renderGrid(body);
+                }
+            },
+            {
+                label: 'Export ZIP',
+                icon: 'file-archive',
+                onClick: async () => {
+                    const chosen = getSelection();
+                    if (chosen.length > 0) await this.exportGalleryZip(chosen);
+                }
+            },
+            { label: 'Done', icon: 'check', variant: 'primary', onClick: () => this.closeModal() }
+        ], { className: 'modal-wide modal-gallery' });
+        if (!body) return;
+        
+        body.querySelector('.gallery-filters').addEventListener('change', () => renderGrid(body));
+        
+        body.querySelector('#gallerySelectAll').addEventListener('change', (e) => {
+            visible.forEach(entry => {
+                if (e.target.checked) selected.add(entry.id);
+                else selected.delete(entry.id);
+            });
+            updateSelection(body);
+        });
+        
+        const grid = body.querySelector('#galleryGrid');
+        
+        grid.addEventListener('change', (e) => {
+            const item = e.target.closest('.gallery-item');
+            if (!item || !e.target.classList.contains('gallery-check')) return;
+            const id = parseInt(item.dataset.id);
+            if (e.target.checked) selected.add(id);
+            else selected.delete(id);
+            updateSelection(body);
+        });
+        
+        grid.addEventListener('click', (e) => {
+            const item = e.target.closest('.gallery-item');
+            if (!item || !e.target.closest('.gallery-open')) return;
+            
+            this.closeModal();
+            this.restoreJournalEntry(parseInt(item.dataset.id));
+        });
+        
+        renderGrid(body);
+    }
+    
+    async deleteGalleryEntries(entries) {
+        const noun = entries.length === 1 ? 'this mandala' : `these ${entries.length} mandalas`;
+        if (!window.confirm(`Delete ${noun} from your journal? This cannot be undone.`)) return false;
+        
+        await this.journalRequest('readwrite', store => {
+            entries.forEach(entry => store.delete(entry.id));
+        });
+        
+        // Let the current state be journaled again if its entry was just deleted
+        this.journal.lastSignature = null;
+        await this.renderJournal();
+        this.showToast(`Deleted ${entries.length} ${entries.length === 1 ? 'mandala' : 'mandalas'}`, 'info');
+        return true;
+    }
+    
+    async exportGalleryZip(entries) {
+        // Full-size PNGs at the on-screen export size, plus the biometrics behind each one
+        const { width, height } = this.getExportSize({ format: 'png' });
+        const layout = this.getExportLayout(width, height);
+        const encoder = new TextEncoder();
+        const files = [];
+        const manifest = [];
+        
+        this.showLoading('Exporting Mandalas', `Rendering ${entries.length} ${entries.length === 1 ? 'image' : 'images'}...`);
+        
+        try {
+            for (const [index, entry] of entries.entries()) {
+                await this.nextFrame();
+                
+                // Entries from before symmetry settings existed were all classic rings
+                const snapshot = this.renderMandalaSnapshot(layout.width, layout.height, {
+                    scale: layout.scale,
+                    biometrics: entry.biometrics,
+                    palette: entry.palette,
+                    symmetry: entry.symmetry || this.core.defaultSymmetry
+                });
+                try {
+                    const blob = await this.canvasToBlob(snapshot.view.element, 'image/png');
+                    const stamp = new Date(entry.timestamp).toISOString().slice(0, 19).replace(/:/g, '-');
+                    const name = `mandala-${stamp}-${entry.id}.png`;
+                    
+                    files.push({ name, data: new Uint8Array(await blob.arrayBuffer()) });
+                    manifest.push({
+                        file: name,
+                        date: new Date(entry.timestamp).toISOString(),
+                        biometrics: entry.biometrics,
+                        wellnessScore: entry.wellnessScore,
+                        paletteName: entry.paletteName,
+                        patternStyle: entry.patternStyle,
+                        complexity: entry.complexity,
+                        symmetry: entry.symmetry
+                    });
+                } finally {
+                    snapshot.remove();
+                }
+                
+                this.setLoadingProgress((index + 1) / entries.length);
+            }
+            
+            files.push({ name: 'mandalas.json', data: encoder.encode(JSON.stringify(manifest, null, 2)) });
+            this.downloadBlob(this.createZip(files), this.getExportFilename('zip'));
+            this.showToast(`Exported ${entries.length} ${entries.length === 1 ? 'mandala' : 'mandalas'} as ZIP`, 'success');
+        } catch (error) {
+            console.error('Gallery export failed:', error);
+            this.showToast('ZIP export failed. Please try again.', 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+    
+    async getComparisonSources() {
+        const sources = [{ id: 'current', label: 'Current sliders', biometrics: { ...this.biometrics } }];
+        
+        this.presets.forEach(preset => sources.push({
+            id: `preset-${preset.id}`,
+            label: `Preset: ${preset.name}`,
+            biometrics: { ...this.biometrics, ...preset.biometrics }
+        }));
+        
+        if (this.capabilities.indexedDB) {
+            try {
+                const entries = (await this.getRecentJournalEntries(this.journal.listLimit))
+                    .filter(entry => entry.biometrics);
+                
+                entries.forEach(entry => {
+                    const date = new Date(entry.timestamp).toLocaleString([], {
+                        month: 'short',
+                        day: 'numeric',
+                        hour: '2-digit',
+                        minute: '2-digit'
+                    });
+                    const name = entry.type === 'breathing' ? `before ${entry.patternName}` : entry.paletteName;
+                    sources.push({ id: `journal-${entry.id}`, label: `${date} · ${name}`, biometrics: entry.biometrics });
                 });
+            } catch (error) {
+                console.warn('Journal unavailable for comparison:', error);
             }
         }
         
-        // Final regeneration after animation
-        setTimeout(() => {
-            this.regenerateMandala();
-        }, duration + 100);
-    }
-    
-    toggleFullscreen() {
-        if (!document.fullscreenElement) {
-            document.documentElement.requestFullscreen().catch(err => {
-                console.error('Error attempting to enable fullscreen:', err);
-                this.showToast('Fullscreen not supported', 'warning');
-            });
-        } else {
-            document.exitFullscreen();
-        }
+        return sources;
     }
     
-    showQuickStartTutorial() {
-        const steps = [
-            'Welcome to your Biometric Mandala Generator!',
-            'Adjust your heart rate to see the mandala rotate faster or slower',
-            'Change your sleep hours to increase pattern complexity',
-            'Modify your mood to see beautiful color transitions',
-            'Your mandala is a unique reflection of your current state'
-        ];
+    async showComparisonDialog() {
+        const sources = await this.getComparisonSources();
         
-        this.showTutorialToasts(steps);
+        // Default to "last journaled state that differs from now" vs "now"
+        const current = JSON.stringify(this.biometrics);
+        const previous = sources.find(source => source.id.startsWith('journal-') && JSON.stringify(source.biometrics) !== current)
+            || sources[1];
+        
+        const options = (selectedId) => sources
+            .map(source => `<option value="${source.id}" ${source.id === selectedId ? 'selected' : ''}>${this.escapeHTML(source.label)}</option>`)
+            .join('');
+        
+        this.openModal('Compare Two States', `
+            <fieldset class="modal-field">
+                <legend>Before</legend>
+                <select class="modal-select" id="compareBefore">${options(previous.id)}</select>
+            </fieldset>
+            <fieldset class="modal-field">
+                <legend>After</legend>
+                <select class="modal-select" id="compareAfter">${options('current')}</select>
+            </fieldset>
+            <p class="modal-hint">Pick presets or journal entries, e.g. before and after a breathing session. Press Escape to leave the comparison.</p>
+        `, [
+            { label: 'Cancel', icon: 'times', onClick: () => this.closeModal() },
+            {
+                label: 'Compare',
+                icon: 'columns',
+                variant: 'primary',
+                onClick: (body) => {
+                    const find = (id) => sources.find(source => source.id === id);
+                    const before = find(body.querySelector('#compareBefore').value);
+                    const after = find(body.querySelector('#compareAfter').value);
+                    this.closeModal();
+                    this.startComparison(before, after);
+                }
+            }
+        ]);
     }
     
-    showTutorialToasts(steps, index = 0) {
-        if (index >= steps.length) return;
+    startComparison(before, after) {
+        const view = document.getElementById('comparisonView');
+        if (!view || !before || !after) return;
         
-        this.showToast(steps[index], 'info', 4000);
+        // Older or breathing entries may lack a metric; the current value fills the gap instead of NaN
+        this.comparison.before = { label: before.label, biometrics: this.core.normalizeBiometrics(before.biometrics, this.biometrics) };
+        this.comparison.after = { label: after.label, biometrics: this.core.normalizeBiometrics(after.biometrics, this.biometrics) };
         
-        setTimeout(() => {
-            this.showTutorialToasts(steps, index + 1);
-        }, 4500);
+        view.hidden = false;
+        document.getElementById('comparisonBeforeLabel').textContent = `Before · ${before.label}`;
+        document.getElementById('comparisonAfterLabel').textContent = `After · ${after.label}`;
+        
+        this.renderComparison();
+        this.renderComparisonTable();
+        this.updateChart();
+        this.announce(`Comparing ${before.label} with ${after.label}`);
     }
     
-    applyPreset(presetName) {
-        const preset = this.presets[presetName];
-        if (!preset) return;
+    renderComparison() {
+        // Each pane is a still render at its own on-screen size, like an export
+        const dpr = this.capabilities.devicePixelRatio;
         
-        this.animateToNewValues(preset);
-        this.showToast(`${this.capitalize(presetName)} preset applied!`, 'success');
+        [['comparisonBefore', this.comparison.before], ['comparisonAfter', this.comparison.after]].forEach(([id, side]) => {
+            const canvas = document.getElementById(id);
+            if (!canvas || !side) return;
+            
+            const rect = canvas.getBoundingClientRect();
+            const width = Math.max(16, Math.round(rect.width * dpr));
+            const height = Math.max(16, Math.round(rect.height * dpr));
+            canvas.width = width;
+            canvas.height = height;
+            
+            try {
+                const layout = this.getExportLayout(width, height);
+                const snapshot = this.renderMandalaSnapshot(layout.width, layout.height, {
+                    scale: layout.scale,
+                    biometrics: side.biometrics
+                });
+                try {
+                    canvas.getContext('2d').drawImage(snapshot.view.element, 0, 0, width, height);
+                } finally {
+                    snapshot.remove();
+                }
+            } catch (error) {
+                console.error('Comparison render failed:', error);
+                this.showToast('Could not render the comparison', 'error');
+            }
+        });
     }
     
-    toggleAmbientSounds() {
-        if (!this.capabilities.webAudio) {
-            this.showToast('Audio not supported on this device', 'warning');
-            return;
-        }
+    renderComparisonTable() {
+        const rows = document.getElementById('comparisonRows');
+        const total = document.getElementById('comparisonTotal');
+        const { before, after } = this.comparison;
+        if (!rows || !total || !before || !after) return;
         
-        this.ambientSounds.enabled = !this.ambientSounds.enabled;
-        const button = document.getElementById('ambientToggle');
+        const beforeBreakdown = this.calculateWellnessBreakdown(before.biometrics);
+        const afterBreakdown = this.calculateWellnessBreakdown(after.biometrics);
+        const signed = (value, text) => (value > 0 ? '+' : value < 0 ? '−' : '±') + text;
         
-        if (this.ambientSounds.enabled) {
-            this.startAmbientSounds();
-            button?.classList.add('active');
-            this.announce('Ambient sounds enabled');
-        } else {
-            this.stopAmbientSounds();
-            button?.classList.remove('active');
-            this.announce('Ambient sounds disabled');
-        }
-    }
-    
-    startAmbientSounds() {
-        // Placeholder for ambient sound implementation
-        // In a real implementation, you would load and play audio files
-        console.log('Ambient sounds would start here');
+        // Colour by the change in each metric's wellness sub-score, so "better" follows the scoring model
+        const trend = (difference) => difference > 0.5 ? 'better' : difference < -0.5 ? 'worse' : '';
+        
+        rows.innerHTML = afterBreakdown.metrics.map((metric, index) => {
+            const key = metric.key;
+            const change = after.biometrics[key] - before.biometrics[key];
+            const subScoreChange = metric.subScore - beforeBreakdown.metrics[index].subScore;
+            
+            return `
+                <tr>
+                    <th scope="row">${this.escapeHTML(metric.label)}</th>
+                    <td>${this.formatBiometricValue(key, before.biometrics[key])}</td>
+                    <td>${this.formatBiometricValue(key, after.biometrics[key])}</td>
+                    <td class="${trend(subScoreChange)}">${signed(change, this.formatBiometricValue(key, Math.abs(change)))}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        const scoreChange = afterBreakdown.score - beforeBreakdown.score;
+        total.innerHTML = `
+            <tr>
+                <th scope="row">Wellness score</th>
+                <td>${beforeBreakdown.score}</td>
+                <td>${afterBreakdown.score}</td>
+                <td class="${trend(scoreChange)}">${signed(scoreChange, String(Math.abs(scoreChange)))}</td>
+            </tr>
+        `;
     }
     
-    stopAmbientSounds() {
-        // Placeholder for ambient sound stopping
-        console.log('Ambient sounds would stop here');
+    stopComparison() {
+        const view = document.getElementById('comparisonView');
+        if (view) view.hidden = true;
+        
+        this.comparison.before = null;
+        this.comparison.after = null;
+        this.updateChart();
     }
     
     setupPeriodicUpdates() {
@@ -2017,20 +5607,109 @@ class BiometricMandalaGenerator {
         }
     }
     
-    showLoading() {
+    showLoading(title = 'Generating Your Mandala', message = 'Transforming your biometric data into living art...', options = {}) {
         const loadingOverlay = document.getElementById('loadingOverlay');
         if (loadingOverlay) {
             loadingOverlay.classList.add('active');
+            
+            // See-through variant keeps the mandala visible while it is captured
+            loadingOverlay.classList.toggle('see-through', !!options.seeThrough);
         }
+        
+        const titleElement = document.getElementById('loadingTitle');
+        const messageElement = document.getElementById('loadingMessage');
+        if (titleElement) titleElement.textContent = title;
+        if (messageElement) messageElement.textContent = message;
+    }
+    
+    setLoadingProgress(fraction) {
+        const loadingBar = document.getElementById('loadingBar');
+        if (!loadingBar) return;
+        
+        loadingBar.classList.add('determinate');
+        loadingBar.style.width = `${Math.round(Math.max(0, Math.min(1, fraction)) * 100)}%`;
     }
     
     hideLoading() {
         const loadingOverlay = document.getElementById('loadingOverlay');
         if (loadingOverlay) {
-            loadingOverlay.classList.remove('active');
+            loadingOverlay.classList.remove('active', 'see-through');
+        }
+        
+        const loadingBar = document.getElementById('loadingBar');
+        if (loadingBar) {
+            loadingBar.classList.remove('determinate');
+            loadingBar.style.width = '';
+        }
+    }
+    
+    openModal(title, content, actions = [], { className = '', onClose = null } = {}) {
+        const overlay = document.getElementById('modalOverlay');
+        const titleElement = document.getElementById('modalTitle');
+        const body = document.getElementById('modalBody');
+        const footer = document.getElementById('modalFooter');
+        if (!overlay || !body || !footer) return null;
+        
+        titleElement.textContent = title;
+        body.innerHTML = content;
+        footer.innerHTML = '';
+        
+        actions.forEach(({ label, icon, variant = 'tertiary', onClick }) => {
+            const button = document.createElement('button');
+            button.className = `action-btn ${variant}`;
+            button.innerHTML = `<i class="fas fa-${icon}"></i><span>${label}</span>`;
+            button.addEventListener('click', async () => {
+                try {
+                    await onClick(body);
+                } catch (error) {
+                    console.error(`Error in "${label}" action:`, error);
+                    this.showToast(`Error: ${this.escapeHTML(error.message)}`, 'error');
+                }
+            });
+            footer.appendChild(button);
+        });
+        
+        this.modalReturnFocus = document.activeElement;
+        this.modalOnClose = onClose;
+        overlay.className = `modal-overlay ${className}`.trim();
+        overlay.classList.add('active');
+        overlay.setAttribute('aria-hidden', 'false');
+        body.querySelector('input, select, textarea, button')?.focus();
+        
+        return body;
+    }
+    
+    closeModal() {
+        const overlay = document.getElementById('modalOverlay');
+        if (!overlay || !overlay.classList.contains('active')) return;
+        
+        overlay.classList.remove('active');
+        overlay.setAttribute('aria-hidden', 'true');
+        document.getElementById('modalBody').innerHTML = '';
+        
+        const onClose = this.modalOnClose;
+        this.modalOnClose = null;
+        onClose?.();
+        
+        this.modalReturnFocus?.focus?.();
+        this.modalReturnFocus = null;
+        
+        const waiters = this.modalCloseWaiters || [];
+        this.modalCloseWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+    
+    async waitForModalClose() {
+        // A dialog can hand over to another without closing (mapping -> day picker), so wait for the last one
+        while (this.isModalOpen()) {
+            await new Promise(resolve => (this.modalCloseWaiters = this.modalCloseWaiters || []).push(resolve));
         }
     }
     
+    isModalOpen() {
+        return !!document.getElementById('modalOverlay')?.classList.contains('active');
+    }
+    
     showToast(message, type = 'info', duration = 3000) {
         const toastContainer = document.getElementById('toastContainer');
         if (!toastContainer) return;
@@ -2109,25 +5788,124 @@ class BiometricMandalaGenerator {
     }
     
     
+    // Public API for host pages embedding the generator (documented in README.md).
+    // Everything the UI does goes through the same state, so the two can be mixed freely.
+    
+    setBiometrics(partial = {}, options = {}) {
+        const unknownKey = Object.keys(partial).find(key => !(key in this.biometrics));
+        if (unknownKey) {
+            throw new Error(`Unknown biometric "${unknownKey}"`);
+        }
+        
+        const values = Object.fromEntries(Object.entries(partial)
+            .filter(([, value]) => Number.isFinite(Number(value)))
+            .map(([key, value]) => [key, this.normalizeBiometric(key, Number(value))]));
+        
+        if (options.animate) {
+            this.animateToNewValues(values);
+        } else {
+            Object.assign(this.biometrics, values);
+            this.syncControlsToBiometrics();
+            this.updateMandala();
+            this.updateSizeEffects();
+            if (options.regenerate !== false) this.queueGeneration();
+        }
+        
+        return { ...this.biometrics, ...values };
+    }
+    
+    getState() {
+        const breakdown = this.calculateWellnessBreakdown();
+        let layout = null;
+        try {
+            const { complexity, patternStyle } = this.calculateMandalaParameters(paper.view.size.width, paper.view.size.height);
+            layout = { complexity, patternStyle };
+        } catch (error) {
+            // Canvas not laid out yet
+        }
+        
+        return {
+            biometrics: { ...this.biometrics },
+            wellnessScore: breakdown.score,
+            wellnessBreakdown: breakdown.metrics,
+            paletteName: this.getPalette().name,
+            patternStyle: layout?.patternStyle ?? null,
+            complexity: layout?.complexity ?? null,
+            symmetry: { ...this.symmetry },
+            isAnimating: this.isAnimating,
+            patternCount: this.patternCount,
+            source: this.liveSource.connection ? 'live' : this.timeline.samples.length > 0 ? 'timeline' : 'manual'
+        };
+    }
+    
+    setSymmetry(partial = {}) {
+        this.symmetry = this.core.normalizeSymmetry({ ...this.symmetry, ...partial });
+        this.saveLocalSetting('symmetry', this.symmetry);
+        this.queueGeneration();
+        this.scheduleShareableURLUpdate();
+        return { ...this.symmetry };
+    }
+    
+    async regenerate() {
+        // Quiet counterpart of the Regenerate button: no loading overlay or toast
+        await this.generateMandala();
+        return this.getState();
+    }
+    
+    async exportImage(options = {}) {
+        const format = options.format === 'svg' ? 'svg' : 'png';
+        const { width, height } = this.getExportSize({ ...options, format });
+        
+        const sizeError = this.validateExportSize(format, width, height);
+        if (sizeError) {
+            throw new Error(sizeError);
+        }
+        
+        return this.renderExportBlob({ ...options, format, width, height });
+    }
+    
+    on(event, handler) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, new Set());
+        }
+        this.eventListeners.get(event).add(handler);
+        return () => this.off(event, handler);
+    }
+    
+    off(event, handler) {
+        this.eventListeners.get(event)?.delete(handler);
+    }
+    
+    emit(event, detail) {
+        // A broken host listener must never break the generator
+        this.eventListeners.get(event)?.forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`Error in "${event}" listener:`, error);
+            }
+        });
+    }
+    
     // Compatibility methods for backward compatibility
     createEnhancedCentralElement(center, palette, baseRadius) {
-        return this.createSafeCentralElement(center, palette, baseRadius);
+        return this.core.createCentralElement(this.getLiveScene(), this.biometrics, center, palette, baseRadius);
     }
     
     addEnergyEffects(center, baseRadius, palette) {
-        return this.addSafeEnergyEffects(center, baseRadius, palette);
+        return this.core.addEnergyEffects(this.getLiveScene(), this.biometrics, center, baseRadius, palette);
     }
     
     createCalmElement(x, y, radius, color, angle, layer) {
-        return this.createSafeCalmElement(x, y, radius, color, angle, layer);
+        return this.core.createSafeCalmElement({ x, y, radius, color, angle, layer, biometrics: this.biometrics });
     }
     
     createModerateElement(x, y, radius, color, angle, layer) {
-        return this.createSafeModerateElement(x, y, radius, color, angle, layer);
+        return this.core.createSafeModerateElement({ x, y, radius, color, angle, layer, biometrics: this.biometrics });
     }
     
     createIntenseElement(x, y, radius, color, angle, layer) {
-        return this.createSafeIntenseElement(x, y, radius, color, angle, layer);
+        return this.core.createSafeIntenseElement({ x, y, radius, color, angle, layer, biometrics: this.biometrics });
     }
     
     // Utility methods
@@ -2147,6 +5925,380 @@ class BiometricMandalaGenerator {
         return new Promise(resolve => requestAnimationFrame(resolve));
     }
     
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+    
+    createZip(files) {
+        // Stored (uncompressed) entries: PNGs are already compressed, and this keeps it dependency-free
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        
+        const parts = [];
+        const directory = [];
+        let offset = 0;
+        
+        files.forEach(({ name, data }) => {
+            const nameBytes = encoder.encode(name);
+            const crc = this.crc32(data);
+            
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            parts.push(local, nameBytes, data);
+            
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint32(42, offset, true);
+            directory.push(central, nameBytes);
+            
+            offset += 30 + nameBytes.length + data.length;
+        });
+        
+        const directorySize = directory.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+        
+        return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+    }
+    
+    applyCustomPalettes(overrides) {
+        for (const [level, palette] of Object.entries(overrides || {})) {
+            if (!this.core.defaultPalettes[level]) continue;
+            try {
+                this.core.colorPalettes[level] = this.validatePalette(palette);
+            } catch (error) {
+                console.warn(`Ignoring saved palette for mood ${level}:`, error.message);
+            }
+        }
+        this.core.paletteCache.clear();
+    }
+    
+    validatePalette(palette) {
+        const name = String(palette?.name ?? '').trim();
+        const emotion = String(palette?.emotion ?? '').trim();
+        const colors = Array.isArray(palette?.colors) ? palette.colors : [];
+        
+        if (!name) throw new Error('a palette needs a name');
+        if (colors.length < 2 || colors.length > 6) throw new Error(`"${name}" needs 2 to 6 colors`);
+        
+        const invalid = colors.find(color => !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color));
+        if (invalid !== undefined) throw new Error(`"${name}" has an invalid color: ${invalid}`);
+        
+        return {
+            name: name.slice(0, 40),
+            colors: colors.map(color => this.core.rgbToHex(this.core.hexToRgb(color))),
+            emotion: emotion.slice(0, 30)
+        };
+    }
+    
+    isCustomPalette(palettes, level) {
+        return JSON.stringify(palettes[level]) !== JSON.stringify(this.core.defaultPalettes[level]);
+    }
+    
+    showPaletteEditor() {
+        // Edits go to a draft; the mandala previews it, and nothing sticks until Save
+        const draft = structuredClone(this.core.colorPalettes);
+        const levels = Object.keys(draft).map(Number);
+        let selected = Math.max(1, Math.min(10, Math.round(this.biometrics.mood)));
+        let body;
+        
+        const preview = () => {
+            this.palettePreview = draft[selected];
+            this.updateMandala();
+        };
+        
+        const renderList = () => {
+            body.querySelector('#paletteList').innerHTML = levels.map(level => {
+                const palette = draft[level];
+                const custom = this.isCustomPalette(draft, level);
+                const swatches = palette.colors.map(color => `<span style="background: ${color}"></span>`).join('');
+                
+                return `
+                    <li class="palette-row ${level === selected ? 'selected' : ''}" data-level="${level}">
+                        <button type="button" class="palette-select" data-action="select" aria-pressed="${level === selected}">
+                            <span class="palette-level">${level}</span>
+                            <span class="palette-swatches">${swatches}</span>
+                            <span class="palette-row-name">${this.escapeHTML(palette.name)}
+                                <small>${this.escapeHTML(palette.emotion)}${custom ? ' · custom' : ''}</small>
+                            </span>
+                        </button>
+                        <span class="palette-row-actions">
+                            <button type="button" class="palette-icon-btn" data-action="up" aria-label="Move to mood ${level - 1}" ${level === levels[0] ? 'disabled' : ''}><i class="fas fa-arrow-up"></i></button>
+                            <button type="button" class="palette-icon-btn" data-action="down" aria-label="Move to mood ${level + 1}" ${level === levels[levels.length - 1] ? 'disabled' : ''}><i class="fas fa-arrow-down"></i></button>
+                            <button type="button" class="palette-icon-btn" data-action="delete" aria-label="Delete custom palette and restore the built-in one" ${custom ? '' : 'disabled'}><i class="fas fa-trash"></i></button>
+                        </span>
+                    </li>
+                `;
+            }).join('');
+        };
+        
+        const renderForm = () => {
+            const palette = draft[selected];
+            const colorInputs = palette.colors.map((color, index) => `
+                <span class="palette-color">
+                    <input type="color" data-color="${index}" value="${color.toLowerCase()}" aria-label="Color ${index + 1}">
+                    <button type="button" class="palette-icon-btn" data-action="remove-color" data-index="${index}" aria-label="Remove color ${index + 1}" ${palette.colors.length <= 2 ? 'disabled' : ''}><i class="fas fa-times"></i></button>
+                </span>
+            `).join('');
+            
+            body.querySelector('#paletteForm').innerHTML = `
+                <div class="palette-form-header">
+                    <h3>Mood ${selected}</h3>
+                    <button type="button" class="palette-icon-btn" data-action="new" title="Start a new palette for this mood"><i class="fas fa-plus"></i> New</button>
+                </div>
+                <label class="modal-option">
+                    <span>Name</span>
+                    <input type="text" data-field="name" maxlength="40" value="${this.escapeHTML(palette.name)}">
+                </label>
+                <label class="modal-option">
+                    <span>Emotion</span>
+                    <input type="text" data-field="emotion" maxlength="30" value="${this.escapeHTML(palette.emotion)}">
+                </label>
+                <div class="palette-colors">
+                    ${colorInputs}
+                    ${palette.colors.length < 6 ? '<button type="button" class="palette-icon-btn" data-action="add-color" aria-label="Add color"><i class="fas fa-plus"></i></button>' : ''}
+                </div>
+            `;
+        };
+        
+        const refresh = () => {
+            renderList();
+            renderForm();
+            preview();
+        };
+        
+        body = this.openModal('Palette Editor', `
+            <p class="modal-hint">Each mood level has its own palette; moods in between blend their neighbours.
+                Edits preview on the mandala and are kept in this browser once saved.</p>
+            <div class="palette-editor">
+                <ol class="palette-list" id="paletteList"></ol>
+                <div class="palette-form" id="paletteForm"></div>
+            </div>
+            <input type="file" id="paletteImportInput" accept=".json,application/json" hidden>
+        `, [
+            { label: 'Import', icon: 'file-import', onClick: () => body.querySelector('#paletteImportInput').click() },
+            { label: 'Export', icon: 'download', onClick: () => this.exportPalettes(draft) },
+            { label: 'Cancel', icon: 'times', onClick: () => this.closeModal() },
+            { label: 'Save', icon: 'check', variant: 'primary', onClick: () => this.savePalettes(draft) && this.closeModal() }
+        ], {
+            className: 'modal-wide modal-preview',
+            onClose: () => {
+                this.palettePreview = null;
+                this.updateMandala();
+            }
+        });
+        if (!body) return;
+        
+        body.querySelector('#paletteList').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const level = parseInt(button.closest('.palette-row').dataset.level);
+            
+            switch (button.dataset.action) {
+                case 'select':
+                    selected = level;
+                    break;
+                case 'up':
+                case 'down': {
+                    // Reordering swaps palettes between neighbouring mood levels
+                    const other = level + (button.dataset.action === 'up' ? -1 : 1);
+                    [draft[level], draft[other]] = [draft[other], draft[level]];
+                    selected = other;
+                    break;
+                }
+                case 'delete':
+                    draft[level] = structuredClone(this.core.defaultPalettes[level]);
+                    selected = level;
+                    break;
+            }
+            refresh();
+        });
+        
+        const form = body.querySelector('#paletteForm');
+        form.addEventListener('input', (e) => {
+            const palette = draft[selected];
+            if (e.target.dataset.field) {
+                palette[e.target.dataset.field] = e.target.value;
+            } else if (e.target.dataset.color !== undefined) {
+                palette.colors[parseInt(e.target.dataset.color)] = e.target.value.toUpperCase();
+            }
+            // Leave the form alone so the input being typed in keeps focus
+            renderList();
+            preview();
+        });
+        
+        form.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const palette = draft[selected];
+            
+            switch (button.dataset.action) {
+                case 'add-color': {
+                    const last = palette.colors[palette.colors.length - 1];
+                    palette.colors.push(this.core.mixColors(last, palette.colors[0], 0.5));
+                    break;
+                }
+                case 'remove-color':
+                    palette.colors.splice(parseInt(button.dataset.index), 1);
+                    break;
+                case 'new':
+                    draft[selected] = { name: `Custom Mood ${selected}`, colors: ['#4ECDC4', '#45B7D1', '#F9FAFB'], emotion: '' };
+                    break;
+            }
+            refresh();
+        });
+        
+        body.querySelector('#paletteImportInput').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            
+            try {
+                const { palettes, errors } = this.parsePaletteSet(await file.text());
+                Object.assign(draft, palettes);
+                errors.slice(0, 3).forEach(error => this.showToast(this.escapeHTML(error), 'warning', 5000));
+                this.showToast(`Imported ${Object.keys(palettes).length} palettes - review and save`, 'success');
+                refresh();
+            } catch (error) {
+                console.error('Palette import failed:', error);
+                this.showToast(`Could not import ${this.escapeHTML(file.name)}: ${this.escapeHTML(error.message)}`, 'error');
+            }
+        });
+        
+        refresh();
+    }
+    
+    savePalettes(draft) {
+        const palettes = {};
+        try {
+            for (const level of Object.keys(draft)) {
+                palettes[level] = this.validatePalette(draft[level]);
+            }
+        } catch (error) {
+            this.showToast(`Cannot save: ${this.escapeHTML(error.message)}`, 'warning');
+            return false;
+        }
+        
+        // Only palettes that differ from the built-ins are stored
+        const overrides = Object.fromEntries(Object.keys(palettes)
+            .filter(level => this.isCustomPalette(palettes, level))
+            .map(level => [level, palettes[level]]));
+        
+        this.core.colorPalettes = palettes;
+        this.core.paletteCache.clear();
+        this.saveLocalSetting('customPalettes', overrides);
+        
+        // The user's own palettes take over from any shared link's
+        this.sharedPalettes = {};
+        this.sharedPaletteCache.clear();
+        
+        this.showToast('Palettes saved', 'success');
+        this.queueGeneration();
+        return true;
+    }
+    
+    exportPalettes(palettes) {
+        const data = { format: 'biometric-mandala-palettes', version: 1, palettes };
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        this.downloadBlob(blob, 'mandala-palettes.json');
+    }
+    
+    parsePaletteSet(text) {
+        const data = JSON.parse(text);
+        
+        // Accept our own export, or a bare array/object of palettes keyed by mood level
+        const source = data?.palettes ?? data;
+        const entries = Array.isArray(source)
+            ? source.map((palette, index) => [String(index + 1), palette])
+            : Object.entries(source || {});
+        
+        const palettes = {};
+        const errors = [];
+        for (const [level, palette] of entries) {
+            if (!this.core.defaultPalettes[level]) {
+                errors.push(`Skipped mood level ${level}: only 1-10 exist`);
+                continue;
+            }
+            try {
+                palettes[level] = this.validatePalette(palette);
+            } catch (error) {
+                errors.push(`Skipped mood ${level}: ${error.message}`);
+            }
+        }
+        
+        if (Object.keys(palettes).length === 0) {
+            throw new Error(errors[0] || 'no palettes found');
+        }
+        
+        return { palettes, errors };
+    }
+    
+    escapeHTML(str) {
+        return String(str).replace(/[&<>"']/g, (char) => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        })[char]);
+    }
+    
+    loadLocalSetting(key, fallback = null) {
+        try {
+            const value = localStorage.getItem(`biometric-mandala:${key}`);
+            return value === null ? fallback : JSON.parse(value);
+        } catch (error) {
+            return fallback;
+        }
+    }
+    
+    saveLocalSetting(key, value) {
+        try {
+            localStorage.setItem(`biometric-mandala:${key}`, JSON.stringify(value));
+        } catch (error) {
+            // Storage can be full or disabled (private browsing)
+            console.warn(`Unable to save setting "${key}":`, error);
+        }
+    }
+    
     camelCaseToSpaced(str) {
         return str.replace(/([A-Z])/g, ' $1').toLowerCase().trim();
     }
@@ -2171,6 +6323,9 @@ document.head.appendChild(style);
 // Initialize the application when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     window.mandalaApp = new BiometricMandalaGenerator();
+    
+    // Extension scripts load before the app exists and wait for this to register themselves
+    document.dispatchEvent(new CustomEvent('mandala:ready', { detail: window.mandalaApp }));
 });
 
 // Handle page unload for cleanup
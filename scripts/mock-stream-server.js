@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+// Mock live biometric feed for testing the "Live" data source without a wearable.
+// Replays the rows of a CSV file in a loop, one JSON sample per tick, over both
+// WebSocket (ws://localhost:PORT) and Server-Sent Events (http://localhost:PORT/events).
+//
+//   node scripts/mock-stream-server.js data.csv [--port 8765] [--interval 1000]
+//
+// Columns are matched by name (heart rate/bpm, sleep, steps, mood, stress, energy);
+// anything else is ignored. No dependencies beyond Node itself.
+
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+const BiometricCSV = require('../js/biometric-csv.js');
+
+function parseArgs(argv) {
+    const options = { file: null, port: 8765, interval: 1000 };
+    
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = parseInt(argv[++i]);
+        else if (argv[i] === '--interval') options.interval = parseInt(argv[++i]);
+        else options.file = argv[i];
+    }
+    
+    return options;
+}
+
+function loadSamples(file) {
+    const { rows: [headers = [], ...rows], delimiter } = BiometricCSV.parse(fs.readFileSync(file, 'utf8'));
+    const columns = BiometricCSV.matchColumns(headers);
+    
+    return rows
+        .map(cells => BiometricCSV.readSample(cells, columns, delimiter))
+        .filter(sample => Object.keys(sample).length > 0);
+}
+
+function encodeWebSocketFrame(text) {
+    const payload = Buffer.from(text);
+    let header;
+    
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header.writeUInt8(0x81, 0);
+        header.writeUInt8(126, 1);
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header.writeUInt8(0x81, 0);
+        header.writeUInt8(127, 1);
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    
+    return Buffer.concat([header, payload]);
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    
+    const usage = 'Usage: node scripts/mock-stream-server.js data.csv [--port 8765] [--interval 1000]';
+    if (!options.file) {
+        console.error(usage);
+        process.exit(1);
+    }
+    // A missing or non-numeric value would be NaN, and setInterval(fn, NaN) floods clients every millisecond
+    if (!Number.isFinite(options.interval) || options.interval < 50) {
+        console.error(`--interval must be at least 50 milliseconds\n${usage}`);
+        process.exit(1);
+    }
+    if (!Number.isFinite(options.port) || options.port < 1 || options.port > 65535) {
+        console.error(`--port must be between 1 and 65535\n${usage}`);
+        process.exit(1);
+    }
+    
+    const samples = loadSamples(options.file);
+    if (samples.length === 0) {
+        console.error(`No usable rows in ${options.file}`);
+        process.exit(1);
+    }
+    
+    const sseClients = new Set();
+    const socketClients = new Set();
+    
+    const server = http.createServer((req, res) => {
+        if (req.url !== '/events') {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Connect with WebSocket, or to /events for Server-Sent Events\n');
+            return;
+        }
+        
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'Access-Control-Allow-Origin': '*'
+        });
+        res.write('retry: 2000\n\n');
+        sseClients.add(res);
+        req.on('close', () => sseClients.delete(res));
+    });
+    
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (!key) {
+            socket.destroy();
+            return;
+        }
+        
+        const accept = crypto.createHash('sha1')
+            .update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11')
+            .digest('base64');
+        
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+        
+        socketClients.add(socket);
+        
+        // Clients only ever send close/ping frames here; answer a close and drop the socket
+        socket.on('data', (data) => {
+            if ((data[0] & 0x0f) === 0x8) {
+                socket.end(Buffer.from([0x88, 0]));
+            }
+        });
+        socket.on('close', () => socketClients.delete(socket));
+        socket.on('error', () => socketClients.delete(socket));
+    });
+    
+    let index = 0;
+    setInterval(() => {
+        const message = JSON.stringify({ ...samples[index], timestamp: Date.now() });
+        index = (index + 1) % samples.length;
+        
+        sseClients.forEach(res => res.write(`data: ${message}\n\n`));
+        socketClients.forEach(socket => socket.write(encodeWebSocketFrame(message)));
+    }, options.interval);
+    
+    server.listen(options.port, () => {
+        console.log(`Replaying ${samples.length} rows from ${options.file} every ${options.interval} ms`);
+        console.log(`  WebSocket: ws://localhost:${options.port}`);
+        console.log(`  SSE:       http://localhost:${options.port}/events`);
+    });
+}
+
+main();
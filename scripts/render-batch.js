@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+// Batch renderer for reports: one mandala per row of a CSV or JSON file, drawn by the same
+// generation core as the app (js/mandala-core.js), plus an index.html contact sheet showing
+// every mandala with its wellness score.
+//
+//   node scripts/render-batch.js data.csv [--out mandalas] [--size 800] [--png] [--no-background]
+//
+// CSV columns are matched by name like the app's CSV import (js/biometric-csv.js); an
+// id/name/person column and a date column name the files (alice_2024-03-04.svg). JSON input is an
+// array of row objects, or { "rows": [...] }, with the same kind of keys. Missing values fall back
+// to the app's defaults.
+// Needs paper-jsdom (npm install paper-jsdom); --png needs paper-jsdom-canvas instead.
+
+const fs = require('fs');
+const path = require('path');
+const MandalaCore = require('../js/mandala-core.js');
+const BiometricCSV = require('../js/biometric-csv.js');
+
+// Same starting values as the sliders in index.html
+const defaultBiometrics = { heartRate: 72, sleepHours: 8, steps: 8000, mood: 7, stress: 3, energy: 6 };
+
+const labelHints = {
+    id: /^(id|name|person|user|member|participant)/i,
+    date: /date|day|time/i
+};
+
+function parseArgs(argv) {
+    const options = { file: null, out: 'mandalas', size: 800, png: false, background: true };
+    
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--out') options.out = argv[++i];
+        else if (argv[i] === '--size') options.size = parseInt(argv[++i]);
+        else if (argv[i] === '--png') options.png = true;
+        else if (argv[i] === '--no-background') options.background = false;
+        else options.file = argv[i];
+    }
+    
+    return options;
+}
+
+function loadPaper(png) {
+    const name = png ? 'paper-jsdom-canvas' : 'paper-jsdom';
+    try {
+        return require(name);
+    } catch (error) {
+        console.error(`This script needs ${name}. Install it with: npm install ${name}`);
+        process.exit(1);
+    }
+}
+
+function loadRows(file) {
+    // JSON rows are flattened into a table so both formats share the column matching
+    let table;
+    if (path.extname(file).toLowerCase() === '.json') {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const records = (Array.isArray(data) ? data : data.rows || []).filter(record => record && typeof record === 'object');
+        const headers = [...new Set(records.flatMap(record => Object.keys(record)))];
+        table = { headers, rows: records.map(record => headers.map(header => record[header])), delimiter: ',' };
+    } else {
+        const { rows: [headers = [], ...rows], delimiter } = BiometricCSV.parse(fs.readFileSync(file, 'utf8'));
+        table = { headers: headers.map(header => header.trim()), rows, delimiter };
+    }
+    
+    const columns = BiometricCSV.matchColumns(table.headers);
+    const labels = {};
+    for (const [key, hint] of Object.entries(labelHints)) {
+        const index = table.headers.findIndex((header, i) => hint.test(header) && !Object.values(columns).includes(i));
+        if (index >= 0) labels[key] = index;
+    }
+    
+    return table.rows.map((cells, index) => ({
+        number: index + 1,
+        id: labels.id !== undefined ? String(cells[labels.id] ?? '').trim() : '',
+        date: labels.date !== undefined ? normalizeDate(cells[labels.date]) : '',
+        values: BiometricCSV.readSample(cells, columns, table.delimiter)
+    }));
+}
+
+function normalizeDate(value) {
+    const text = String(value ?? '').trim();
+    const iso = text.match(/^\d{4}-\d{2}-\d{2}/);
+    return iso ? iso[0] : text;
+}
+
+function slugify(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function getBaseName(row, usedNames) {
+    const parts = [slugify(row.id), slugify(row.date)].filter(Boolean);
+    const base = parts.length > 0 ? parts.join('_') : `row-${row.number}`;
+    
+    // Two rows for the same person and day must not overwrite each other
+    let name = base;
+    for (let n = 2; usedNames.has(name); n++) name = `${base}-${n}`;
+    usedNames.add(name);
+    return name;
+}
+
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, char =>
+        ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+function buildContactSheet(results, source) {
+    // One section per person when the file has an id column, in the order they first appear
+    const groups = new Map();
+    results.forEach(result => {
+        if (!groups.has(result.id)) groups.set(result.id, []);
+        groups.get(result.id).push(result);
+    });
+    
+    const sections = [...groups].map(([id, items]) => {
+        const average = Math.round(items.reduce((sum, item) => sum + item.score, 0) / items.length);
+        const heading = id
+            ? `<h2>${escapeHTML(id)} <span>average ${average}</span></h2>`
+            : '';
+        
+        const cards = items.map(item => `
+            <figure>
+                <a href="${escapeHTML(item.file)}"><img src="${escapeHTML(item.file)}" alt="Mandala for ${escapeHTML(item.label)}" loading="lazy"></a>
+                <figcaption>
+                    <strong>${escapeHTML(item.label)}</strong>
+                    <span class="score">Wellness ${item.score}</span>
+                    <span class="bar"><span style="width: ${item.score}%"></span></span>
+                    <small>${escapeHTML(item.paletteName)} · ${escapeHTML(item.patternStyle)} · ${item.complexity} layers</small>
+                </figcaption>
+            </figure>`).join('');
+        
+        return `
+        <section>${heading}
+            <div class="grid">${cards}
+            </div>
+        </section>`;
+    }).join('');
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Mandalas - ${escapeHTML(source)}</title>
+    <style>
+        body { margin: 0; padding: 2rem; font-family: system-ui, sans-serif; color: #e5e7eb; background: linear-gradient(135deg, #0c0c0c 0%, #1a1a2e 50%, #16213e 100%) fixed; }
+        h1 { margin: 0 0 0.25rem; font-weight: 600; }
+        h2 { margin: 2rem 0 1rem; font-weight: 500; }
+        h2 span, header p { color: #9ca3af; font-size: 0.875rem; font-weight: 400; }
+        .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 1rem; }
+        figure { margin: 0; padding: 0.75rem; border-radius: 12px; background: rgba(255, 255, 255, 0.05); border: 1px solid rgba(255, 255, 255, 0.1); }
+        img { display: block; width: 100%; aspect-ratio: 1; border-radius: 8px; }
+        figcaption { display: flex; flex-direction: column; gap: 0.25rem; margin-top: 0.5rem; }
+        .score { color: #4ecdc4; font-weight: 600; }
+        .bar { height: 4px; border-radius: 2px; background: rgba(255, 255, 255, 0.1); overflow: hidden; }
+        .bar span { display: block; height: 100%; background: linear-gradient(90deg, #ff6b6b, #4ecdc4); }
+        small { color: #9ca3af; }
+        @media print { body { background: #fff; color: #000; } figure { break-inside: avoid; } }
+    </style>
+</head>
+<body>
+    <header>
+        <h1>Biometric Mandalas</h1>
+        <p>${results.length} mandalas from ${escapeHTML(source)}, generated ${new Date().toLocaleString()}</p>
+    </header>${sections}
+</body>
+</html>
+`;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    
+    if (!options.file) {
+        console.error('Usage: node scripts/render-batch.js data.csv|data.json [--out mandalas] [--size 800] [--png] [--no-background]');
+        process.exit(1);
+    }
+    if (!Number.isFinite(options.size) || options.size < 64 || options.size > 8192) {
+        console.error('--size must be between 64 and 8192 pixels');
+        process.exit(1);
+    }
+    
+    let rows;
+    try {
+        rows = loadRows(options.file);
+    } catch (error) {
+        console.error(`Could not read ${options.file}: ${error.message}`);
+        process.exit(1);
+    }
+    
+    const usable = rows.filter(row => Object.keys(row.values).length > 0);
+    if (usable.length === 0) {
+        console.error(`No usable rows in ${options.file}`);
+        process.exit(1);
+    }
+    
+    const paper = loadPaper(options.png);
+    paper.setup(new paper.Size(1, 1));
+    const core = new MandalaCore(paper);
+    const size = { width: options.size, height: options.size };
+    
+    fs.mkdirSync(options.out, { recursive: true });
+    
+    const usedNames = new Set();
+    const results = [];
+    
+    usable.forEach(row => {
+        const name = getBaseName(row, usedNames);
+        const biometrics = core.normalizeBiometrics(row.values, defaultBiometrics);
+        
+        try {
+            // One drawing serves both formats
+            const project = core.render(biometrics, size, { includeBackground: options.background });
+            try {
+                fs.writeFileSync(path.join(options.out, `${name}.svg`), project.exportSVG({ asString: true, bounds: 'view' }));
+                if (options.png) {
+                    fs.writeFileSync(path.join(options.out, `${name}.png`), project.view.element.toBuffer('image/png'));
+                }
+            } finally {
+                project.remove();
+            }
+            
+            const { palette, patternStyle, complexity } = core.calculateMandalaParameters(biometrics, options.size, options.size);
+            results.push({
+                id: row.id,
+                label: [row.id, row.date].filter(Boolean).join(' · ') || `Row ${row.number}`,
+                file: `${name}.svg`,
+                score: core.calculateWellnessBreakdown(biometrics).score,
+                paletteName: palette.name,
+                patternStyle,
+                complexity
+            });
+            console.log(`  ${name}.svg${options.png ? ' + .png' : ''}`);
+        } catch (error) {
+            console.error(`  Row ${row.number} failed: ${error.message}`);
+        }
+    });
+    
+    fs.writeFileSync(path.join(options.out, 'index.html'), buildContactSheet(results, path.basename(options.file)));
+    
+    const skipped = rows.length - results.length;
+    console.log(`Rendered ${results.length} mandalas to ${options.out}${skipped > 0 ? ` (${skipped} rows skipped)` : ''}`);
+    console.log(`Contact sheet: ${path.join(options.out, 'index.html')}`);
+}
+
+main();